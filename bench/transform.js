@@ -0,0 +1,83 @@
+#!/usr/bin/env node
+// Compares the streaming rewriter with the jsdom transform on a synthetic index.
+//
+//     node bench/transform.js [iterations] [size]
+
+const { Router } = require('../lib/router');
+const { defaultRules } = require('../lib/rewrite');
+
+const iterations = parseInt(process.argv[2] || '200', 10);
+const size = parseInt(process.argv[3] || '200', 10);
+
+const createIndex = size => {
+    const body = [];
+    for (let i = 0; i < size; i++) {
+        body.push(
+            `<div class="item" style="background: url(img/bg-${i}.png)">` +
+            `<img src="img/${i}.png" srcset="img/${i}.png 1x, img/${i}@2x.png 2x" alt="Item ${i}">` +
+            `<p>Item ${i} &amp; some text</p></div>`
+        );
+    }
+
+    return "<!DOCTYPE html>\n<html>\n<head>\n" +
+        '<meta property="og:image" content="img/og.png">\n' +
+        '<link href="style.css" rel="stylesheet">\n' +
+        "<style>body { background: url(img/body.png) }</style>\n" +
+        "</head>\n<body>\n" +
+        '<script src="/app/config.js"></script>\n' +
+        body.join('\n') + "\n" +
+        '<script src="app.js"></script>\n' +
+        "<script>window.start();</script>\n" +
+        "</body>\n</html>\n";
+};
+
+const run = async (transformer, html) => {
+    const router = new Router('https://assets.example.com/', 'https://api.example.com/', { transformer });
+    const options = {
+        base: '/app/',
+        nonce: 'bm9uY2U=',
+        integrity: async () => 'sha384-abc',
+        rules: defaultRules
+    };
+    const config = { target: 'app', assets_url: router._assetsUrl, api_url: router._apiUrl };
+
+    // Warm up before measuring.
+    for (let i = 0; i < 5; i++) {
+        await router.transform('app', html, config, options);
+    }
+
+    if (global.gc) {
+        global.gc();
+    }
+
+    const heap = process.memoryUsage().heapUsed;
+    const start = process.hrtime.bigint();
+    let peak = heap;
+
+    for (let i = 0; i < iterations; i++) {
+        await router.transform('app', html, config, options);
+        peak = Math.max(peak, process.memoryUsage().heapUsed);
+    }
+
+    const elapsed = Number(process.hrtime.bigint() - start) / 1e6;
+    return { elapsed, peak: peak - heap };
+};
+
+const main = async () => {
+    const html = createIndex(size);
+    console.log(`index: ${(html.length / 1024).toFixed(1)} KiB, ${iterations} iterations`);
+
+    for (let transformer of [ 'dom', 'stream' ]) {
+        const { elapsed, peak } = await run(transformer, html);
+        console.log(
+            `${transformer.padEnd(8)}` +
+            `${(elapsed / iterations).toFixed(2).padStart(8)} ms/op` +
+            `${(peak / 1024 / 1024).toFixed(1).padStart(8)} MiB peak heap growth`
+        );
+    }
+};
+
+main().catch(err => {
+    console.error(err);
+    process.exit(1);
+});
@@ -0,0 +1,153 @@
+#!/usr/bin/env node
+
+const path = require('path');
+
+const { Router } = require('../lib/router');
+const { createServer } = require('../lib/server');
+const { decompress } = require('../lib/compress');
+const { HttpSource, DirectorySource } = require('../lib/sources');
+
+const usage = `Usage: index-router <command> [options]
+
+Commands:
+  serve             Start a local server that routes requests through the router
+  render <path>     Print the status, headers and body for a single path
+
+Options:
+  --assets <dir|url>    Build directory or URL holding manifest.json and app indexes
+  --api <dir|url>       Directory or URL holding config.json
+  --assets-url <url>    Public assets URL used when relocating (default: served locally)
+  --api-url <url>       Public API URL injected into the config (default: served locally)
+  --port <port>         Port for 'serve' (default: 8080)
+  --header <name:value> Request header for 'render', may be repeated
+`;
+
+const parseArgs = argv => {
+    const args = { _: [], header: [] };
+
+    for (let i = 0; i < argv.length; ++i) {
+        const arg = argv[i];
+        if (!arg.startsWith('--')) {
+            args._.push(arg);
+            continue;
+        }
+
+        const eq = arg.indexOf('=');
+        const name = arg.substring(2, eq < 0 ? undefined : eq);
+        const value = eq < 0 ? argv[++i] : arg.substring(eq + 1);
+
+        if (value === undefined) {
+            throw new Error(`Missing value for --${name}`);
+        }
+
+        if (Array.isArray(args[name])) {
+            args[name].push(value);
+        } else {
+            args[name] = value;
+        }
+    }
+
+    return args;
+};
+
+const isUrl = value => /^https?:\/\//i.test(value);
+const withSlash = value => value.endsWith('/') ? value : value + '/';
+
+const createSource = location => {
+    return isUrl(location) ? new HttpSource(withSlash(location)) : new DirectorySource(path.resolve(location));
+};
+
+const setup = (args, origin) => {
+    const assets = args.assets || process.env['ASSETS_URL'];
+    const api = args.api || process.env['API_URL'] || assets;
+
+    if (!assets) {
+        throw new Error("Missing --assets");
+    }
+
+    const statics = {};
+    const resolve = (location, publicUrl, prefix) => {
+        if (publicUrl) {
+            return withSlash(publicUrl);
+        }
+
+        if (isUrl(location)) {
+            return withSlash(location);
+        }
+
+        statics[prefix] = createSource(location);
+        return origin + prefix;
+    };
+
+    const assetsUrl = resolve(assets, args['assets-url'], '/_assets/');
+    const apiUrl = resolve(api, args['api-url'], '/_api/');
+
+    const router = new Router(assetsUrl, apiUrl, {
+        manifestTtl: 0,
+        configTtl: 0,
+        indexTtl: 0,
+        sources: {
+            manifest: createSource(assets),
+            index: createSource(assets),
+            config: createSource(api)
+        }
+    });
+
+    return { router, statics };
+};
+
+const serve = args => {
+    const port = parseInt(args.port || '8080', 10);
+    const { router, statics } = setup(args, `http://localhost:${port}`);
+
+    createServer(router, { statics }).listen(port, () => {
+        console.log(`Serving on http://localhost:${port}/`);
+    });
+};
+
+const render = async args => {
+    const requestPath = args._[1];
+    if (!requestPath) {
+        throw new Error("Missing <path>");
+    }
+
+    const { router } = setup(args, `http://localhost:${args.port || 8080}`);
+
+    const headers = {};
+    args.header.forEach(header => {
+        const colon = header.indexOf(':');
+        headers[header.substring(0, colon).trim().toLowerCase()] = header.substring(colon + 1).trim();
+    });
+
+    const [ pathname, query ] = requestPath.split('?');
+    const response = await router.route(pathname, { method: 'GET', query: query || '', headers });
+
+    console.log(`HTTP ${response.statusCode}`);
+    Object.keys(response.headers || {}).forEach(name => console.log(`${name}: ${response.headers[name]}`));
+
+    if (response.body !== undefined) {
+        const body = response.isBase64Encoded ? Buffer.from(response.body, 'base64') : response.body;
+        const encoding = response.headers && response.headers['Content-Encoding'];
+
+        console.log();
+        console.log(encoding ? (await decompress(encoding, body)).toString('utf8') : body.toString('utf8'));
+    }
+};
+
+const main = async argv => {
+    const args = parseArgs(argv);
+
+    switch (args._[0]) {
+        case 'serve': return serve(args);
+        case 'render': return render(args);
+        default: {
+            console.log(usage);
+            process.exitCode = args._[0] ? 1 : 0;
+        }
+    }
+};
+
+main(process.argv.slice(2)).catch(err => {
+    console.error(err.message);
+    process.exitCode = 1;
+});
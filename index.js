@@ -1,20 +1,50 @@
 const { Router } = require('./lib/router');
+const { normalizeEvent, formatResponse } = require('./lib/event');
+const { SettingsError, loadSettingsFile, resolveSettings } = require('./lib/settings');
+const { JsonLogger, EmfMetrics } = require('./lib/telemetry');
+const { resolveHeaders } = require('./lib/security');
 
 const log = require('debug')('index-router');
 const crypto = require('crypto');
 
 const routers = {};
 
+let settingsFile = undefined;
+
 exports.handler = async function (event, context) {
-    // log("Event", JSON.stringify(event));
-    // log("Context", JSON.stringify(context));
+    const request = normalizeEvent(event);
+
+    let settings;
+    try {
+        if (settingsFile === undefined) {
+            settingsFile = loadSettingsFile(process.env['ROUTER_SETTINGS_FILE']);
+        }
+
+        settings = resolveSettings([ settingsFile, process.env, request.variables ]);
+    } catch (err) {
+        if (!(err instanceof SettingsError)) {
+            throw err;
+        }
+
+        log("Invalid settings", err.message);
+        return formatResponse(request, {
+            statusCode: 500,
+            headers: Object.assign(resolveHeaders(), {
+                'Content-Type': 'application/json',
+                'Cache-Control': 'no-store'
+            }),
+            body: JSON.stringify({
+                error: err.message
+            })
+        });
+    }
 
     const router = (() => {
-        const assetsUrl = event.stageVariables['ASSETS_URL'];
-        const apiUrl = event.stageVariables['API_URL'];
-        const stage = event.requestContext.stage;
+        const assetsUrl = settings['ASSETS_URL'];
+        const apiUrl = settings['API_URL'];
+        const stage = request.stage || request.format;
 
-        const hash = crypto.createHash('md5').update(assetsUrl).update(apiUrl).update(stage).digest('hex');
+        const hash = crypto.createHash('md5').update(JSON.stringify(settings)).update(stage).digest('hex');
 
         const _r = routers[hash];
         if (_r) {
@@ -24,30 +54,42 @@ exports.handler = async function (event, context) {
 
         log(`Created router for '${stage} (${hash})':`, { assetsUrl, apiUrl });
 
-        const _n = new Router(assetsUrl, apiUrl);
+        const _n = new Router(assetsUrl, apiUrl, {
+            manifestTtl: settings['MANIFEST_TTL'],
+            configTtl: settings['CONFIG_TTL'],
+            indexTtl: settings['INDEX_TTL'],
+            securityHeaders: [ settings['SECURITY_HEADERS'], settings['SECURITY_PROFILES'][settings['SECURITY_PROFILE']] ],
+            computeIntegrity: settings['COMPUTE_INTEGRITY'],
+            renderCacheSize: settings['RENDER_CACHE_SIZE'],
+            compression: settings['COMPRESSION'],
+            compressionThreshold: settings['COMPRESSION_THRESHOLD'],
+            staleAge: settings['STALE_AGE'],
+            refreshRetry: settings['REFRESH_RETRY'],
+            backupDir: settings['BACKUP_DIR'],
+            fetchTimeout: settings['FETCH_TIMEOUT'],
+            retryDelay: settings['RETRY_DELAY'],
+            retryMaxDelay: settings['RETRY_MAX_DELAY'],
+            circuitThreshold: settings['CIRCUIT_THRESHOLD'],
+            circuitCooldown: settings['CIRCUIT_COOLDOWN'],
+            logger: new JsonLogger(),
+            metrics: new EmfMetrics(settings['METRICS_NAMESPACE']),
+            diagnosticsPrefix: settings['DIAGNOSTICS_PREFIX'],
+            diagnosticsSecret: settings['DIAGNOSTICS_SECRET']
+        });
         routers[hash] = _n;
 
         return _n;
     })();
 
-    const cacheAge = (age => {
-        if (!age) {
-            return undefined;
-        }
-
-        return parseInt(age);
-    })(event.stageVariables['CACHE_AGE']);
-
-    const clientAge = (age => {
-        if (!age) {
-            return undefined;
-        }
-
-        return parseInt(age);
-    })(event.stageVariables['CLIENT_AGE']);
-
-    return router.route(event.path ? event.path : '/', {
-        cacheAge,
-        clientAge
+    const response = await router.route(request.path, {
+        cacheAge: settings['CACHE_AGE'],
+        clientAge: settings['CLIENT_AGE'],
+        method: request.method,
+        query: request.query,
+        headers: request.headers,
+        requestId: request.requestId,
+        lambdaRequestId: context && context.awsRequestId
     });
+
+    return formatResponse(request, response);
 };
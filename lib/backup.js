@@ -0,0 +1,60 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const log = require('debug')('index-router');
+
+// Keeps the last good copy of each document on disk, so a new router on the
+// same host can fall back to it while the upstream is unavailable. Files are
+// named after a hash of the key and replaced atomically.
+class FileBackup {
+    constructor(directory) {
+        this._directory = path.resolve(directory);
+        this._pending = new Set();
+    }
+
+    async read(key) {
+        try {
+            const stored = JSON.parse(await fs.promises.readFile(this._file(key), 'utf8'));
+            return stored.key === key ? stored.value : undefined;
+        } catch (err) {
+            if (err.code !== 'ENOENT') {
+                log(`Unable to read backup of ${key}`, err);
+            }
+            return undefined;
+        }
+    }
+
+    write(key, value) {
+        const write = this._write(key, value);
+
+        this._pending.add(write);
+        write.then(() => this._pending.delete(write));
+
+        return write;
+    }
+
+    // Resolves once every write started so far has finished.
+    async flush() {
+        await Promise.all(Array.from(this._pending));
+    }
+
+    async _write(key, value) {
+        const file = this._file(key);
+        const temporary = `${file}.${process.pid}.${crypto.randomBytes(4).toString('hex')}`;
+
+        try {
+            await fs.promises.mkdir(this._directory, { recursive: true });
+            await fs.promises.writeFile(temporary, JSON.stringify({ key, value }));
+            await fs.promises.rename(temporary, file);
+        } catch (err) {
+            log(`Unable to write backup of ${key}`, err);
+            await fs.promises.unlink(temporary).catch(() => undefined);
+        }
+    }
+
+    _file(key) {
+        return path.join(this._directory, crypto.createHash('sha256').update(key).digest('hex') + '.json');
+    }
+}
+
+exports.FileBackup = FileBackup;
@@ -0,0 +1,37 @@
+const util = require('util');
+const zlib = require('zlib');
+
+// Supported content codings, in order of preference.
+const encoders = {
+    br: util.promisify(zlib.brotliCompress),
+    gzip: util.promisify(zlib.gzip)
+};
+
+const decoders = {
+    br: util.promisify(zlib.brotliDecompress),
+    gzip: util.promisify(zlib.gunzip)
+};
+
+const encodings = Object.keys(encoders);
+
+const compress = (encoding, body) => {
+    const encoder = encoders[encoding];
+    if (!encoder) {
+        return Promise.reject(new Error(`Unsupported encoding '${encoding}'`));
+    }
+
+    return encoder(Buffer.from(body));
+};
+
+const decompress = (encoding, body) => {
+    const decoder = decoders[encoding];
+    if (!decoder) {
+        return Promise.reject(new Error(`Unsupported encoding '${encoding}'`));
+    }
+
+    return decoder(Buffer.from(body));
+};
+
+exports.encodings = encodings;
+exports.compress = compress;
+exports.decompress = decompress;
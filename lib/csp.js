@@ -0,0 +1,35 @@
+const crypto = require('crypto');
+
+const createNonce = () => crypto.randomBytes(16).toString('base64');
+
+const originOf = url => {
+    try {
+        return new URL(url).origin;
+    } catch (err) {
+        return undefined;
+    }
+};
+
+// Policies are either a header string or an object of directives mapping to a
+// list of sources. The placeholders {nonce}, {assets} and {api} expand to the
+// response nonce and the origins of the assets and API URLs.
+const buildPolicy = (template, values) => {
+    const policy = typeof template === 'string'
+        ? template
+        : Object.keys(template).map(directive => {
+            return [ directive ].concat(template[directive]).join(' ');
+        }).join('; ');
+
+    const replacements = {
+        nonce: `'nonce-${values.nonce}'`,
+        assets: originOf(values.assetsUrl) || '',
+        api: originOf(values.apiUrl) || ''
+    };
+
+    return policy
+        .replace(/\{(nonce|assets|api)\}/g, (match, name) => replacements[name])
+        .replace(/ {2,}/g, ' ');
+};
+
+exports.createNonce = createNonce;
+exports.buildPolicy = buildPolicy;
@@ -0,0 +1,82 @@
+// Whole-document counterpart of HtmlRewriter built on jsdom. It exposes the same
+// `on(tag, handler)` / `transform(html)` interface and element API so that the
+// router's transform handlers run unchanged on either implementation.
+
+const { JSDOM } = require('jsdom');
+
+const rawTextElements = [ 'script', 'style', 'textarea', 'title', 'xmp', 'iframe', 'noembed', 'noframes' ];
+
+class DomElement {
+    constructor(element) {
+        this._element = element;
+    }
+
+    get tagName() {
+        return this._element.tagName.toLowerCase();
+    }
+
+    get textContent() {
+        return rawTextElements.includes(this.tagName) ? this._element.textContent : undefined;
+    }
+
+    getAttribute(name) {
+        return this._element.getAttribute(name);
+    }
+
+    hasAttribute(name) {
+        return this._element.hasAttribute(name);
+    }
+
+    setAttribute(name, value) {
+        this._element.setAttribute(name, value);
+    }
+
+    removeAttribute(name) {
+        this._element.removeAttribute(name);
+    }
+
+    setInnerContent(content) {
+        this._element.textContent = content;
+    }
+
+    before(html) {
+        this._element.insertAdjacentHTML('beforebegin', html);
+    }
+
+    prepend(html) {
+        this._element.insertAdjacentHTML('afterbegin', html);
+    }
+
+    remove() {
+        this._element.remove();
+    }
+}
+
+class DomRewriter {
+    constructor() {
+        this._handlers = [];
+    }
+
+    on(tag, handler) {
+        this._handlers.push({ tag: tag.toLowerCase(), handler });
+        return this;
+    }
+
+    async transform(html) {
+        const jsdom = new JSDOM(html);
+        const elements = Array.from(jsdom.window.document.getElementsByTagName('*'));
+
+        for (let element of elements) {
+            const wrapped = new DomElement(element);
+            for (let { tag, handler } of this._handlers) {
+                if (tag === '*' || tag === wrapped.tagName) {
+                    await handler(wrapped);
+                }
+            }
+        }
+
+        return jsdom.serialize();
+    }
+}
+
+exports.DomRewriter = DomRewriter;
@@ -0,0 +1,40 @@
+class NotModifiedError extends Error {
+    constructor(url) {
+        super(`Not modified: ${url}`);
+        this.name = 'NotModifiedError';
+    }
+}
+
+class UpstreamError extends Error {
+    constructor(url, status, cause) {
+        super(`Failed to download ${url}` + (status ? ` (${status})` : ''));
+        this.name = 'UpstreamError';
+        this.code = 'upstream_unavailable';
+        this.url = url;
+        this.status = status;
+        this.cause = cause;
+    }
+}
+
+class CircuitOpenError extends UpstreamError {
+    constructor(url) {
+        super(url);
+        this.message = `Not downloading ${url} while its circuit is open`;
+        this.name = 'CircuitOpenError';
+    }
+}
+
+class ValidationError extends Error {
+    constructor(document, field, message) {
+        super(`Invalid ${document}: ${field}: ${message}`);
+        this.name = 'ValidationError';
+        this.code = 'invalid_' + document;
+        this.document = document;
+        this.field = field;
+    }
+}
+
+exports.NotModifiedError = NotModifiedError;
+exports.UpstreamError = UpstreamError;
+exports.CircuitOpenError = CircuitOpenError;
+exports.ValidationError = ValidationError;
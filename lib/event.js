@@ -0,0 +1,162 @@
+const { STATUS_CODES } = require('http');
+
+const formats = {
+    REST: 'rest',
+    HTTP: 'http',
+    URL: 'url',
+    ALB: 'alb'
+};
+
+const detectFormat = event => {
+    const context = event.requestContext || {};
+
+    if (context.elb) {
+        return formats.ALB;
+    }
+
+    if (event.version === '2.0') {
+        return /\.lambda-url\./.test(context.domainName || '') ? formats.URL : formats.HTTP;
+    }
+
+    return formats.REST;
+};
+
+const lowerCaseHeaders = (headers, multiValueHeaders) => {
+    const result = {};
+
+    Object.keys(multiValueHeaders || {}).forEach(name => {
+        const values = multiValueHeaders[name];
+        const separator = name.toLowerCase() === 'cookie' ? '; ' : ', ';
+        result[name.toLowerCase()] = values.join(separator);
+    });
+
+    Object.keys(headers || {}).forEach(name => {
+        result[name.toLowerCase()] = headers[name];
+    });
+
+    return result;
+};
+
+const joinQuery = (parameters, multiValueParameters, encode) => {
+    const pairs = [];
+
+    if (multiValueParameters) {
+        Object.keys(multiValueParameters).forEach(name => {
+            multiValueParameters[name].forEach(value => pairs.push([ name, value ]));
+        });
+    } else if (parameters) {
+        Object.keys(parameters).forEach(name => pairs.push([ name, parameters[name] ]));
+    }
+
+    return pairs.map(([ name, value ]) => encode(name) + '=' + encode(value)).join('&');
+};
+
+// HTTP APIs keep a named stage in the raw path, only `$default` is left out.
+const stripStage = (path, stage) => {
+    if (!stage || stage === '$default') {
+        return path;
+    }
+
+    const prefix = '/' + stage;
+    if (path === prefix) {
+        return '/';
+    }
+
+    return path.startsWith(prefix + '/') ? path.substring(prefix.length) : path;
+};
+
+const normalizeEvent = event => {
+    const format = detectFormat(event);
+    const context = event.requestContext || {};
+
+    switch (format) {
+        case formats.HTTP:
+        case formats.URL: {
+            const headers = lowerCaseHeaders(event.headers);
+            if (event.cookies && event.cookies.length) {
+                headers['cookie'] = event.cookies.join('; ');
+            }
+
+            const path = event.rawPath || '/';
+
+            return {
+                format,
+                path: format === formats.HTTP ? stripStage(path, context.stage) : path,
+                query: event.rawQueryString || '',
+                headers,
+                method: (context.http && context.http.method) || 'GET',
+                stage: format === formats.HTTP ? context.stage : undefined,
+                variables: event.stageVariables || undefined,
+                multiValue: false,
+                requestId: context.requestId
+            };
+        }
+
+        case formats.ALB: {
+            const headers = lowerCaseHeaders(event.headers, event.multiValueHeaders);
+
+            // ALB has no request ID of its own, the trace ID it adds is the closest match.
+            return {
+                format,
+                path: event.path || '/',
+                query: joinQuery(event.queryStringParameters, event.multiValueQueryStringParameters, value => value),
+                headers,
+                method: event.httpMethod || 'GET',
+                stage: undefined,
+                variables: undefined,
+                multiValue: !!event.multiValueHeaders,
+                requestId: headers['x-amzn-trace-id']
+            };
+        }
+
+        default:
+            return {
+                format,
+                path: event.path || '/',
+                query: joinQuery(event.queryStringParameters, event.multiValueQueryStringParameters, encodeURIComponent),
+                headers: lowerCaseHeaders(event.headers, event.multiValueHeaders),
+                method: event.httpMethod || 'GET',
+                stage: context.stage,
+                variables: event.stageVariables || undefined,
+                multiValue: false,
+                requestId: context.requestId
+            };
+    }
+};
+
+const formatResponse = (request, response) => {
+    const result = Object.assign({
+        isBase64Encoded: false
+    }, response);
+
+    if (request.method === 'HEAD') {
+        delete result.body;
+    }
+
+    if (request.format !== formats.ALB) {
+        return result;
+    }
+
+    result.statusDescription = response.statusCode + ' ' + STATUS_CODES[response.statusCode];
+
+    if (request.multiValue) {
+        const headers = result.headers || {};
+        delete result.headers;
+
+        result.multiValueHeaders = {};
+        Object.keys(headers).forEach(name => {
+            result.multiValueHeaders[name] = [ headers[name] ];
+        });
+    }
+
+    if (result.body === undefined) {
+        result.body = '';
+    }
+
+    return result;
+};
+
+exports.formats = formats;
+exports.detectFormat = detectFormat;
+exports.normalizeEvent = normalizeEvent;
+exports.formatResponse = formatResponse;
@@ -0,0 +1,334 @@
+// Streaming, tag-level HTML rewriter. Input is tokenized into text, markup and
+// start tags without building a tree; only start tags that a handler modifies
+// are re-serialized, everything else is passed through byte for byte.
+//
+//     const rewriter = new HtmlRewriter(chunk => output.push(chunk));
+//     rewriter.on('script', element => { ... });
+//     await rewriter.write(html);
+//     await rewriter.end();
+
+const { decodeHTMLAttribute } = require('entities');
+
+const rawTextElements = [ 'script', 'style', 'textarea', 'title', 'xmp', 'iframe', 'noembed', 'noframes' ];
+
+const tagNamePattern = /[^\s/>]+/y;
+const separatorPattern = /(?:\s|\/(?!>))*/y;
+const attributeNamePattern = /=?[^\s/>=]*/y;
+const equalsPattern = /\s*=\s*/y;
+const unquotedValuePattern = /[^\s>]*/y;
+
+// Attribute values are decoded with the full HTML entity table and the
+// attribute rules for legacy references, so values read the same as in a browser.
+const decodeEntities = value => decodeHTMLAttribute(value);
+
+const escapeAttribute = value => String(value).replace(/&/g, '&amp;').replace(/"/g, '&quot;');
+
+class Element {
+    constructor(name, attributes, tail, raw, content) {
+        this._name = name;
+        this._attributes = attributes;
+        this._tail = tail;
+        this._raw = raw;
+        this._content = content;
+
+        this._modified = false;
+        this._removed = false;
+        this._before = [];
+        this._prepend = [];
+    }
+
+    get tagName() {
+        return this._name.toLowerCase();
+    }
+
+    get textContent() {
+        return this._content;
+    }
+
+    getAttribute(name) {
+        const attribute = this._find(name);
+        return attribute ? attribute.value : null;
+    }
+
+    hasAttribute(name) {
+        return this._find(name) !== undefined;
+    }
+
+    setAttribute(name, value) {
+        const attribute = this._find(name);
+        if (attribute) {
+            attribute.value = String(value);
+            attribute.raw = undefined;
+        } else {
+            this._attributes.push({ name: name.toLowerCase(), value: String(value), raw: undefined });
+        }
+
+        this._modified = true;
+    }
+
+    removeAttribute(name) {
+        const attributes = this._attributes.filter(attribute => attribute.name !== name.toLowerCase());
+        if (attributes.length !== this._attributes.length) {
+            this._attributes = attributes;
+            this._modified = true;
+        }
+    }
+
+    // Only raw text elements (script, style, ...) carry content that can be replaced.
+    setInnerContent(content) {
+        if (this._content === undefined) {
+            throw new Error(`Cannot set content of <${this.tagName}>`);
+        }
+
+        this._content = content;
+        this._modified = true;
+    }
+
+    before(html) {
+        this._before.push(html);
+    }
+
+    prepend(html) {
+        this._prepend.push(html);
+    }
+
+    // Removes the start tag, and the content and end tag of raw text elements.
+    remove() {
+        this._removed = true;
+    }
+
+    _find(name) {
+        const lower = name.toLowerCase();
+        return this._attributes.find(attribute => attribute.name === lower);
+    }
+
+    _serialize() {
+        const before = this._before.join('');
+        if (this._removed) {
+            return before;
+        }
+
+        const start = !this._modified ? this._raw.start : '<' + this._name + this._attributes.map(attribute => {
+            return attribute.raw !== undefined ? attribute.raw : ` ${attribute.name}="${escapeAttribute(attribute.value)}"`;
+        }).join('') + this._tail;
+
+        const content = this._content === undefined ? '' : this._content + this._raw.end;
+        return before + start + this._prepend.join('') + content;
+    }
+}
+
+class HtmlRewriter {
+    constructor(output) {
+        this._output = output;
+        this._handlers = [];
+        this._buffer = '';
+    }
+
+    on(tag, handler) {
+        this._handlers.push({ tag: tag.toLowerCase(), handler });
+        return this;
+    }
+
+    async write(chunk) {
+        this._buffer += chunk;
+        await this._process(false);
+    }
+
+    async end() {
+        await this._process(true);
+    }
+
+    async transform(html) {
+        const chunks = [];
+        const output = this._output;
+
+        this._output = chunk => chunks.push(chunk);
+        try {
+            await this.write(html);
+            await this.end();
+        } finally {
+            this._output = output;
+        }
+
+        return chunks.join('');
+    }
+
+    async _process(final) {
+        const buffer = this._buffer;
+        let position = 0;
+
+        while (position < buffer.length) {
+            const open = buffer.indexOf('<', position);
+            if (open < 0) {
+                this._output(buffer.substring(position));
+                position = buffer.length;
+                break;
+            }
+
+            if (open > position) {
+                this._output(buffer.substring(position, open));
+                position = open;
+            }
+
+            const token = this._readMarkup(buffer, position, final);
+            if (!token) {
+                break;
+            }
+
+            if (token.element) {
+                await this._handle(token.element);
+                this._output(token.element._serialize());
+            } else {
+                this._output(token.raw);
+            }
+
+            position = token.end;
+        }
+
+        this._buffer = buffer.substring(position);
+    }
+
+    async _handle(element) {
+        for (let { tag, handler } of this._handlers) {
+            if (tag === '*' || tag === element.tagName) {
+                await handler(element);
+            }
+        }
+    }
+
+    // Returns the markup token starting at `position` (which holds a '<'), or
+    // undefined when more input is needed to complete it.
+    _readMarkup(buffer, position, final) {
+        const incomplete = () => final ? { raw: buffer.substring(position), end: buffer.length } : undefined;
+        const until = (marker, from) => {
+            const index = buffer.indexOf(marker, from);
+            return index < 0 ? incomplete() : { raw: buffer.substring(position, index + marker.length), end: index + marker.length };
+        };
+
+        if (position + 1 >= buffer.length) {
+            return incomplete();
+        }
+
+        const next = buffer[position + 1];
+
+        if (next === '!') {
+            if (buffer.length < position + 4 && !final) {
+                return undefined;
+            }
+            return buffer.startsWith('<!--', position) ? until('-->', position + 4) : until('>', position);
+        }
+
+        if (next === '?') {
+            return until('>', position);
+        }
+
+        if (next === '/') {
+            if (position + 2 >= buffer.length) {
+                return incomplete();
+            }
+            return /[A-Za-z]/.test(buffer[position + 2]) ? until('>', position) : { raw: '<', end: position + 1 };
+        }
+
+        if (/[A-Za-z]/.test(next)) {
+            return this._readStartTag(buffer, position, final);
+        }
+
+        return { raw: '<', end: position + 1 };
+    }
+
+    _readStartTag(buffer, position, final) {
+        const incomplete = () => final ? { raw: buffer.substring(position), end: buffer.length } : undefined;
+        const match = (pattern, from) => {
+            pattern.lastIndex = from;
+            return pattern.exec(buffer);
+        };
+
+        const name = match(tagNamePattern, position + 1)[0];
+        const attributes = [];
+
+        let index = position + 1 + name.length;
+        let tail;
+
+        while (tail === undefined) {
+            const start = index;
+            index += match(separatorPattern, index)[0].length;
+
+            if (index >= buffer.length) {
+                return incomplete();
+            }
+
+            if (buffer[index] === '>' || buffer.startsWith('/>', index)) {
+                const close = buffer.indexOf('>', index) + 1;
+                tail = buffer.substring(start, close);
+                index = close;
+                break;
+            }
+
+            const attributeName = match(attributeNamePattern, index)[0];
+            index += attributeName.length;
+
+            let value = '';
+            const equals = match(equalsPattern, index);
+            if (equals) {
+                index += equals[0].length;
+                if (index >= buffer.length) {
+                    return incomplete();
+                }
+
+                const quote = buffer[index];
+                if (quote === '"' || quote === "'") {
+                    const close = buffer.indexOf(quote, index + 1);
+                    if (close < 0) {
+                        return incomplete();
+                    }
+                    value = buffer.substring(index + 1, close);
+                    index = close + 1;
+                } else {
+                    value = match(unquotedValuePattern, index)[0];
+                    index += value.length;
+                }
+            }
+
+            if (index >= buffer.length) {
+                return incomplete();
+            }
+
+            attributes.push({
+                name: attributeName.toLowerCase(),
+                value: decodeEntities(value),
+                raw: buffer.substring(start, index)
+            });
+        }
+
+        const raw = { start: buffer.substring(position, index), end: '' };
+        let content;
+
+        if (rawTextElements.includes(name.toLowerCase())) {
+            const closing = match(new RegExp('</' + name + '[\\s/>]', 'gi'), index);
+            if (!closing) {
+                if (!final) {
+                    return undefined;
+                }
+                content = buffer.substring(index);
+                index = buffer.length;
+            } else {
+                const close = buffer.indexOf('>', closing.index) + 1;
+                if (close === 0) {
+                    return incomplete();
+                }
+
+                content = buffer.substring(index, closing.index);
+                raw.end = buffer.substring(closing.index, close);
+                index = close;
+            }
+        }
+
+        return {
+            element: new Element(name, attributes, tail, raw, content),
+            end: index
+        };
+    }
+}
+
+exports.HtmlRewriter = HtmlRewriter;
+exports.decodeEntities = decodeEntities;
@@ -0,0 +1,95 @@
+const getHeader = (headers, name) => {
+    if (!headers) {
+        return undefined;
+    }
+
+    const lower = name.toLowerCase();
+    const key = Object.keys(headers).find(key => key.toLowerCase() === lower);
+
+    return key === undefined ? undefined : headers[key];
+};
+
+const getCookie = (headers, name) => {
+    const header = getHeader(headers, 'Cookie');
+    if (!header) {
+        return undefined;
+    }
+
+    const cookie = header.split(';').map(pair => pair.trim()).find(pair => pair.startsWith(name + '='));
+    return cookie === undefined ? undefined : cookie.substring(name.length + 1);
+};
+
+const matchesETag = (ifNoneMatch, etag) => {
+    if (!ifNoneMatch || !etag) {
+        return false;
+    }
+
+    const opaque = tag => tag.trim().replace(/^W\//, '');
+
+    return ifNoneMatch.split(',').some(tag => {
+        return tag.trim() === '*' || opaque(tag) === opaque(etag);
+    });
+};
+
+// Picks the encoding from `available` (in order of preference) with the highest
+// quality in an Accept-Encoding header. Returns undefined when the identity
+// encoding should be used.
+const negotiateEncoding = (acceptEncoding, available) => {
+    if (!acceptEncoding) {
+        return undefined;
+    }
+
+    const qualities = {};
+    acceptEncoding.split(',').forEach(entry => {
+        const [ coding, ...params ] = entry.split(';').map(part => part.trim());
+        if (!coding) {
+            return;
+        }
+
+        const q = params.map(param => /^q=([0-9.]+)$/i.exec(param)).find(match => match);
+        qualities[coding.toLowerCase()] = q ? parseFloat(q[1]) : 1;
+    });
+
+    const quality = coding => coding in qualities ? qualities[coding] : (qualities['*'] || 0);
+
+    return available.reduce((best, coding) => {
+        const q = quality(coding);
+        return q > 0 && (best === undefined || q > quality(best)) ? coding : best;
+    }, undefined);
+};
+
+// Picks the media type from `available` (in order of preference) that an
+// Accept header ranks highest. More specific ranges take precedence over
+// wildcards, and a missing header accepts anything.
+const negotiateType = (accept, available) => {
+    if (!accept) {
+        return available[0];
+    }
+
+    const ranges = accept.split(',').map(entry => {
+        const [ range, ...params ] = entry.split(';').map(part => part.trim());
+        const q = params.map(param => /^q=([0-9.]+)$/i.exec(param)).find(match => match);
+
+        return { range: range.toLowerCase(), q: q ? parseFloat(q[1]) : 1 };
+    }).filter(({ range }) => range);
+
+    const quality = type => {
+        const [ major ] = type.split('/');
+        const match = ranges.find(({ range }) => range === type)
+            || ranges.find(({ range }) => range === major + '/*')
+            || ranges.find(({ range }) => range === '*/*');
+
+        return match ? match.q : 0;
+    };
+
+    return available.reduce((best, type) => {
+        const q = quality(type);
+        return q > 0 && (best === undefined || q > quality(best)) ? type : best;
+    }, undefined);
+};
+
+exports.getHeader = getHeader;
+exports.getCookie = getCookie;
+exports.matchesETag = matchesETag;
+exports.negotiateEncoding = negotiateEncoding;
+exports.negotiateType = negotiateType;
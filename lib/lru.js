@@ -0,0 +1,53 @@
+// Size-bounded map that evicts the least recently used entry. Relies on Map
+// keeping insertion order: every hit moves the key to the end, so the first key
+// is always the oldest.
+class LruCache {
+    constructor(limit) {
+        this._limit = limit;
+        this._entries = new Map();
+    }
+
+    get size() {
+        return this._entries.size;
+    }
+
+    has(key) {
+        return this._entries.has(key);
+    }
+
+    get(key) {
+        if (!this._entries.has(key)) {
+            return undefined;
+        }
+
+        const value = this._entries.get(key);
+        this._entries.delete(key);
+        this._entries.set(key, value);
+        return value;
+    }
+
+    set(key, value) {
+        this._entries.delete(key);
+
+        if (this._limit <= 0) {
+            return this;
+        }
+
+        this._entries.set(key, value);
+        while (this._entries.size > this._limit) {
+            this._entries.delete(this._entries.keys().next().value);
+        }
+
+        return this;
+    }
+
+    delete(key) {
+        return this._entries.delete(key);
+    }
+
+    clear() {
+        this._entries.clear();
+    }
+}
+
+exports.LruCache = LruCache;
@@ -0,0 +1,52 @@
+const routingModes = [ 'hash', 'history' ];
+
+const appNames = manifest => {
+    if (Array.isArray(manifest.apps)) {
+        return manifest.apps;
+    }
+
+    return Object.keys(manifest.apps);
+};
+
+const appSettings = (manifest, app) => {
+    if (Array.isArray(manifest.apps)) {
+        return {};
+    }
+
+    return manifest.apps[app] || {};
+};
+
+const routingMode = (manifest, app) => {
+    const mode = appSettings(manifest, app).routing || manifest.routing || 'hash';
+    if (!routingModes.includes(mode)) {
+        throw new Error(`Unknown routing mode '${mode}' for ${app}`);
+    }
+
+    return mode;
+};
+
+// Builds declared for an app, with the index of each resolved to a key under
+// the assets URL. Apps without `builds` have no variants and return an empty list.
+const appBuilds = (manifest, app) => {
+    const builds = appSettings(manifest, app).builds || [];
+
+    return builds.map(build => Object.assign({ index: app + '/index.html' }, build));
+};
+
+// Picks the build covering `point` (0 <= point < 1) when the weights are laid
+// out end to end. Builds with a zero weight are never picked.
+const pickBuild = (builds, point) => {
+    const total = builds.reduce((sum, build) => sum + build.weight, 0);
+
+    let offset = point * total;
+    return builds.find(build => {
+        offset -= build.weight;
+        return build.weight > 0 && offset < 0;
+    }) || builds.filter(build => build.weight > 0).pop();
+};
+
+exports.appNames = appNames;
+exports.appSettings = appSettings;
+exports.routingMode = routingMode;
+exports.appBuilds = appBuilds;
+exports.pickBuild = pickBuild;
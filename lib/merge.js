@@ -0,0 +1,30 @@
+const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// Applies `patch` on top of `target` following JSON merge patch (RFC 7396) rules:
+// objects are merged key by key, a `null` value removes the key, and anything
+// else (including arrays) replaces the previous value. Neither input is modified.
+const mergePatch = (target, patch) => {
+    if (!isObject(patch)) {
+        return patch;
+    }
+
+    const result = isObject(target) ? Object.assign({}, target) : {};
+
+    Object.keys(patch).forEach(key => {
+        const value = patch[key];
+        if (value === null) {
+            delete result[key];
+        } else {
+            result[key] = mergePatch(result[key], value);
+        }
+    });
+
+    return result;
+};
+
+const mergeConfig = (...layers) => layers.reduce((result, layer) => {
+    return layer === undefined ? result : mergePatch(result, layer);
+}, {});
+
+exports.mergePatch = mergePatch;
+exports.mergeConfig = mergeConfig;
@@ -0,0 +1,38 @@
+const { STATUS_CODES } = require('http');
+
+const escapeHtml = value => String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+
+// Used when the assets don't provide a template for the status.
+const fallbackTemplate = "" +
+    "<!DOCTYPE html>\n" +
+    "<html>\n" +
+    "<head>\n" +
+    "<meta charset=\"utf-8\">\n" +
+    "<meta name=\"viewport\" content=\"width=device-width, initial-scale=1\">\n" +
+    "<title>{status} {reason}</title>\n" +
+    "<style>body { font-family: sans-serif; margin: 4em auto; max-width: 40em; color: #333; } small { color: #999; }</style>\n" +
+    "</head>\n" +
+    "<body>\n" +
+    "<h1>{status} {reason}</h1>\n" +
+    "<p>{error}</p>\n" +
+    "<p><small>Request ID: {requestId}</small></p>\n" +
+    "</body>\n" +
+    "</html>\n";
+
+// Templates may use the placeholders {status}, {reason}, {error} and
+// {requestId}, which are replaced with HTML-escaped values.
+const renderErrorPage = (template, values) => {
+    const placeholders = Object.assign({ reason: STATUS_CODES[values.status] }, values);
+
+    return template.replace(/\{(status|reason|error|requestId)\}/g, (match, name) => {
+        return placeholders[name] === undefined ? '' : escapeHtml(placeholders[name]);
+    });
+};
+
+exports.fallbackTemplate = fallbackTemplate;
+exports.renderErrorPage = renderErrorPage;
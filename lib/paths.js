@@ -0,0 +1,39 @@
+// Percent-decodes each segment of a request path. Returns undefined for
+// malformed escapes and for paths that could step outside the tree once
+// decoded: dot segments, and escaped separators or NUL characters.
+const decodePath = path => {
+    const segments = [];
+
+    for (let segment of path.split('/')) {
+        let decoded;
+        try {
+            decoded = decodeURIComponent(segment);
+        } catch (err) {
+            return undefined;
+        }
+
+        if (decoded === '.' || decoded === '..' || /[/\\\0]/.test(decoded)) {
+            return undefined;
+        }
+
+        segments.push(decoded);
+    }
+
+    return segments.join('/');
+};
+
+// Appends a raw query string to a redirect location. Locations pointing at a
+// fragment get the query inside the fragment, where hash routers look for it.
+const appendQuery = (location, query) => {
+    if (!query) {
+        return location;
+    }
+
+    const hash = location.indexOf('#');
+    const target = hash < 0 ? location : location.substring(hash);
+
+    return location + (target.includes('?') ? '&' : '?') + query;
+};
+
+exports.decodePath = decodePath;
+exports.appendQuery = appendQuery;
@@ -0,0 +1,70 @@
+const redirectMatches = [ 'exact', 'prefix', 'pattern' ];
+const redirectStatuses = [ 301, 302, 307, 308 ];
+
+const patterns = new WeakMap();
+
+// Patterns must match the whole path. They are compiled once per rule object,
+// which lives as long as the manifest it came from.
+const compile = rule => {
+    if (!patterns.has(rule)) {
+        patterns.set(rule, new RegExp('^(?:' + rule.from + ')$'));
+    }
+
+    return patterns.get(rule);
+};
+
+// Prefixes end at a path segment, so `/legacy` matches `/legacy/page` but not
+// `/legacyfoo`.
+const matchesPrefix = (from, path) =>
+    path === from || path.startsWith(from.endsWith('/') ? from : from + '/');
+
+// Leading slashes in the rest of the path are collapsed, so that it cannot
+// turn the location into a protocol-relative URL such as `//evil.com`.
+// Browsers read backslashes there as slashes too.
+const appendPath = (to, rest) => to + rest.replace(/^[/\\]+/, to.endsWith('/') ? '' : '/');
+
+// Rules are tried in order and the first match wins:
+//
+//   exact    `from` equals the path
+//   prefix   the path is `from` or continues it with a new segment, and the
+//            rest is appended to `to`
+//   pattern  `from` is a regular expression matching the whole path, and `to`
+//            may refer to its groups as $1 or $<name>
+//
+// Returns the location and status to redirect to, and whether the request's
+// query string should be carried over (unless the rule sets `query: false`),
+// or undefined.
+const matchRedirect = (rules, path) => {
+    for (let rule of rules || []) {
+        const status = rule.status || 301;
+        const query = rule.query !== false;
+
+        switch (rule.match || 'exact') {
+            case 'exact':
+                if (path === rule.from) {
+                    return { location: rule.to, status, query };
+                }
+                break;
+
+            case 'prefix':
+                if (matchesPrefix(rule.from, path)) {
+                    return { location: appendPath(rule.to, path.substring(rule.from.length)), status, query };
+                }
+                break;
+
+            case 'pattern': {
+                const pattern = compile(rule);
+                if (pattern.test(path)) {
+                    return { location: path.replace(pattern, rule.to), status, query };
+                }
+                break;
+            }
+        }
+    }
+
+    return undefined;
+};
+
+exports.redirectMatches = redirectMatches;
+exports.redirectStatuses = redirectStatuses;
+exports.matchRedirect = matchRedirect;
@@ -0,0 +1,88 @@
+const absolutePattern = /^(?:[a-z][a-z0-9+.-]*:|\/|#)/i;
+
+// Each rule selects elements by tag name ('*' for any) and optionally by the
+// values of other attributes (`when`), then rewrites either one attribute or,
+// when no attribute is given, the element's text content. The type decides how
+// the value is parsed: a single URL, a srcset candidate list, or CSS.
+const defaultRules = [
+    { tag: 'link', attribute: 'href', type: 'url' },
+    { tag: 'script', attribute: 'src', type: 'url' },
+    { tag: 'img', attribute: 'src', type: 'url' },
+    { tag: 'img', attribute: 'srcset', type: 'srcset' },
+    { tag: 'source', attribute: 'src', type: 'url' },
+    { tag: 'source', attribute: 'srcset', type: 'srcset' },
+    { tag: 'video', attribute: 'poster', type: 'url' },
+    { tag: 'meta', attribute: 'content', type: 'url', when: { property: [ 'og:image', 'og:image:url', 'og:image:secure_url' ] } },
+    { tag: 'meta', attribute: 'content', type: 'url', when: { name: [ 'twitter:image', 'msapplication-TileImage' ] } },
+    { tag: 'style', type: 'css' },
+    { tag: '*', attribute: 'style', type: 'css' }
+];
+
+const isRelative = url => url.length > 0 && !absolutePattern.test(url);
+
+const rewriteUrl = (value, resolve) => {
+    const url = value.trim();
+    return isRelative(url) ? resolve(url) : value;
+};
+
+const rewriteSrcset = (value, resolve) => {
+    let result = '';
+    let index = 0;
+
+    while (index < value.length) {
+        const separator = /^[\s,]*/.exec(value.substring(index))[0];
+        result += separator;
+        index += separator.length;
+
+        if (index >= value.length) {
+            break;
+        }
+
+        const candidate = /^\S+/.exec(value.substring(index))[0];
+        const url = candidate.replace(/,+$/, '');
+        result += rewriteUrl(url, resolve) + candidate.substring(url.length);
+        index += candidate.length;
+
+        if (url.length < candidate.length) {
+            continue;
+        }
+
+        let depth = 0;
+        while (index < value.length && (value[index] !== ',' || depth > 0)) {
+            depth += value[index] === '(' ? 1 : value[index] === ')' ? -1 : 0;
+            result += value[index++];
+        }
+    }
+
+    return result;
+};
+
+const rewriteCss = (value, resolve) => {
+    return value.replace(/url\(\s*(['"]?)([^'")]*)\1\s*\)/gi, (match, quote, url) => {
+        return isRelative(url) ? `url(${quote}${resolve(url)}${quote})` : match;
+    });
+};
+
+const rewriters = {
+    url: rewriteUrl,
+    srcset: rewriteSrcset,
+    css: rewriteCss
+};
+
+const rewriteValue = (type, value, resolve) => rewriters[type](value, resolve);
+
+const matchesRule = (rule, tagName, getAttribute) => {
+    if (rule.tag !== '*' && rule.tag.toLowerCase() !== tagName.toLowerCase()) {
+        return false;
+    }
+
+    return Object.keys(rule.when || {}).every(name => {
+        const value = getAttribute(name);
+        return value !== null && [].concat(rule.when[name]).includes(value);
+    });
+};
+
+exports.defaultRules = defaultRules;
+exports.rewriteTypes = Object.keys(rewriters);
+exports.rewriteValue = rewriteValue;
+exports.matchesRule = matchesRule;
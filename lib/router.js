@@ -1,295 +1,1216 @@
-const { JSDOM } = require('jsdom');
-const fetch = require('node-fetch');
+const crypto = require('crypto');
+const { getHeader, getCookie, matchesETag, negotiateEncoding, negotiateType } = require('./http');
+const { encodings, compress } = require('./compress');
+const { appNames, appSettings, routingMode, appBuilds, pickBuild } = require('./manifest');
+const { mergeConfig } = require('./merge');
+const { createNonce, buildPolicy } = require('./csp');
+const { resolveHeaders } = require('./security');
+const { defaultRules, matchesRule, rewriteValue } = require('./rewrite');
+const { matchRedirect } = require('./redirects');
+const { decodePath, appendQuery } = require('./paths');
+const { fallbackTemplate, renderErrorPage } = require('./pages');
+const { HtmlRewriter } = require('./html');
+const { LruCache } = require('./lru');
+const { FileBackup } = require('./backup');
+const { nullLogger, nullMetrics, requestOutcome } = require('./telemetry');
+const { HttpSource } = require('./sources');
+const { NotModifiedError, UpstreamError, CircuitOpenError, ValidationError } = require('./errors');
+const { validateManifest, validateConfig } = require('./schema');
+const { version } = require('../package.json');
 const log = require('debug')('index-router');
 
-const pathPattern = /^\/([A-Za-z0-9\-_]+)(\/.*)?$/;
+const pathPattern = /^\/([^/]+)(\/.*)?$/;
 const appcachePattern = /^.*\.appcache$/i;
-const linkPattern = /^(?!(?:https?:)?\/)/i;
 const configSrcPattern = /.*\/config\.js/;
+const integrityRels = [ 'stylesheet', 'preload', 'modulepreload' ];
+const buildCookieAge = 30 * 24 * 60 * 60;
+const retryableStatuses = [ 408, 425, 429, 500, 502, 503, 504 ];
+const secretHeader = 'X-Router-Secret';
+
+const errorMessages = {
+    internal_error: 'Internal error',
+    upstream_unavailable: 'Upstream unavailable',
+    invalid_manifest: 'Invalid manifest',
+    invalid_config: 'Invalid config'
+};
 
 class Router {
-    constructor(assetsUrl, apiUrl) {
+    constructor(assetsUrl, apiUrl, options) {
         this._assetsUrl = assetsUrl;
         this._apiUrl = apiUrl;
 
+        this._options = Object.assign({
+            manifestTtl: 60,
+            configTtl: 300,
+            indexTtl: 60,
+            csp: undefined,
+            securityHeaders: {},
+            computeIntegrity: false,
+            transformer: 'stream',
+            renderCacheSize: 100,
+            compression: true,
+            compressionThreshold: 1024,
+            staleAge: 10,
+            refreshRetry: 10,
+            backupDir: undefined,
+            fetchTimeout: 5000,
+            retryDelay: 100,
+            retryMaxDelay: 2000,
+            circuitThreshold: 5,
+            circuitCooldown: 30000,
+            sources: {},
+            logger: nullLogger,
+            metrics: nullMetrics,
+            diagnosticsPrefix: '/_router/',
+            diagnosticsSecret: undefined
+        }, options);
+
+        this._sources = Object.assign({
+            manifest: new HttpSource(assetsUrl),
+            index: new HttpSource(assetsUrl),
+            config: new HttpSource(apiUrl)
+        }, this._options.sources);
+
         this._manifestPromise = undefined;
         this._configPromise = undefined;
         this._indexes = {};
+        this._errorPages = {};
+
+        this._expiry = new WeakMap();
+        this._backup = this._options.backupDir ? new FileBackup(this._options.backupDir) : undefined;
+        this._validators = {};
+        this._circuits = {};
+        this._digests = {};
+
+        this._rendered = new LruCache(this._options.renderCacheSize);
+        this._versions = new WeakMap();
+        this._lastVersion = 0;
+
+        // Cached output is rendered with this stand-in and each response swaps in its own nonce.
+        this._noncePlaceholder = createNonce();
     }
 
-    async fetchConfig() {
+    fetchConfig() {
         log("Downloading config");
 
-        if (this._configPromise) {
-            return this._configPromise;
+        const url = this._apiUrl + 'config.json';
+        // The backup holds config.json as downloaded, routers sharing the API
+        // don't necessarily share the assets URL that is merged into it.
+        return this._cached(this, '_configPromise', this._options.configTtl, (revalidate, validators) => {
+            return this._fetch(url, { json: true, revalidate, validators, source: 'config', key: 'config.json' })
+                .then(config => this._validate(validateConfig, config));
+        }, url, config => Object.assign({
+            assets_url: this._assetsUrl,
+            api_url: this._apiUrl,
+        }, config));
+    }
+
+    async route(path, options) {
+        options = Object.assign({
+            clientAge: 60,
+            cacheAge: 300
+        }, options);
+
+        const started = this._now();
+        const context = {
+            requestId: options.requestId || crypto.randomBytes(8).toString('hex'),
+            stale: [],
+            cache: {},
+            upstream: {}
+        };
+
+        let response;
+        try {
+            response = await this._route(path, options, context);
+        } catch (err) {
+            log(`Request ${context.requestId} failed`, err);
+
+            context.code = errorMessages[err.code] ? err.code : 'internal_error';
+            context.error = err.message;
+            response = await this._createError(500, errorMessages[context.code], context.code, options, context);
         }
 
-        const url = this._apiUrl + 'config.json';
-        this._configPromise = this._fetch(url, { json: true }).then(config => {
-            return Object.assign({
-                assets_url: this._assetsUrl,
-                api_url: this._apiUrl,
-            }, config);
-        }).catch(err => {
-            this._configPromise = undefined;
-            throw err;
-        });
+        if (context.stale.length && response.statusCode < 500) {
+            // Degraded: keep clients and caches coming back soon for a fresh copy.
+            const staleAge = this._options.staleAge;
+            response.headers['X-Router-Stale'] = context.stale.join(', ');
+            response.headers['Cache-Control'] = context.private
+                ? this._createCacheResponse(Math.min(options.clientAge, staleAge), undefined, true)
+                : this._createCacheResponse(Math.min(options.clientAge, staleAge), Math.min(options.cacheAge, staleAge));
+        }
 
-        return this._configPromise;
+        this._report(path, options, context, response.statusCode, this._now() - started);
+        return this._applySecurityHeaders(response, context);
     }
 
-    async route(path, options) {
+    // Writes one log entry and one set of metrics per request. Reporting is
+    // best effort and never changes the response.
+    _report(path, options, context, status, duration) {
+        const outcome = requestOutcome(status, context.code);
+        const upstream = Object.keys(context.upstream).reduce((total, name) => total + context.upstream[name], 0);
+        const hits = Object.keys(context.cache).filter(name => context.cache[name] === 'hit').length;
+
         try {
-            options = Object.assign({
-                clientAge: 60,
-                cacheAge: 300
-            }, options);
+            this._options.logger.log(Object.assign({
+                requestId: context.requestId,
+                lambdaRequestId: options.lambdaRequestId,
+                method: options.method,
+                path,
+                app: context.app,
+                build: context.build,
+                status,
+                outcome,
+                duration,
+                cache: context.cache,
+                upstream: context.upstream
+            }, context.stale.length ? { stale: context.stale } : {}, context.error ? { error: context.error } : {}));
 
-            const response = await this._route(path, options);
-            return response;
+            this._options.metrics.emit({ Outcome: outcome }, [
+                { name: 'Requests', value: 1, unit: 'Count' },
+                { name: 'Duration', value: duration, unit: 'Milliseconds' },
+                { name: 'CacheHits', value: hits, unit: 'Count' },
+                { name: 'CacheMisses', value: Object.keys(context.cache).length - hits, unit: 'Count' },
+                { name: 'UpstreamLatency', value: upstream, unit: 'Milliseconds' },
+                { name: 'StaleResponses', value: context.stale.length ? 1 : 0, unit: 'Count' }
+            ]);
         } catch (err) {
-            log("Request failed", err);
+            log(`Unable to report request ${context.requestId}`, err);
+        }
+    }
+
+    // Browsers get an HTML page, everyone else the JSON error. Templates come
+    // from <status>.html in the assets, with a built-in page as fallback.
+    async _createError(status, error, code, options, context) {
+        const headers = {
+            'Cache-Control': status >= 500 ? 'no-store' : this._createCacheResponse(options.clientAge),
+            'Vary': 'Accept'
+        };
+
+        const details = Object.assign({ error }, code ? { code } : {}, { requestId: context.requestId });
+
+        if (negotiateType(getHeader(options.headers, 'Accept'), [ 'application/json', 'text/html' ]) !== 'text/html') {
             return {
-                statusCode: 500,
-                headers: {
-                    'Content-Type': 'application/json',
-                    'Cache-Control': 'no-store'
-                },
-                body: JSON.stringify({
-                    error: 'Internal error'
-                })
-            }
+                statusCode: status,
+                headers: Object.assign({ 'Content-Type': 'application/json' }, headers),
+                body: JSON.stringify(details)
+            };
+        }
+
+        const template = await this.getErrorTemplate(status);
+        let body = renderErrorPage(template || fallbackTemplate, Object.assign({ status }, details));
+
+        if (template) {
+            const rewriter = this._createRewriter();
+            this.rewriteHandlers(defaultRules).forEach(({ tag, element }) => rewriter.on(tag, element));
+            body = await rewriter.transform(body);
         }
+
+        return {
+            statusCode: status,
+            headers: Object.assign({ 'Content-Type': 'text/html' }, headers),
+            body
+        };
+    }
+
+    // Resolves to null when the assets have no template for the status. That is
+    // cached as well, so error responses don't keep hitting the bucket.
+    getErrorTemplate(status) {
+        const key = status + '.html';
+        const url = this._assetsUrl + key;
+
+        return this._cached(this._errorPages, status, this._options.indexTtl, (revalidate, validators) => {
+            return this._fetch(url, { revalidate, validators, source: 'index', key, retries: 1 }).catch(err => {
+                if (err instanceof NotModifiedError) {
+                    throw err;
+                }
+
+                log(`No error page template at ${url}`);
+                return null;
+            });
+        });
     }
 
-    async _route(path, options) {
+    _applySecurityHeaders(response, context) {
+        const { manifest, app } = context;
+
+        const headers = resolveHeaders(
+            ...[].concat(this._options.securityHeaders),
+            manifest && manifest.headers,
+            manifest && app && appSettings(manifest, app).headers
+        );
+
+        response.headers = Object.assign(headers, response.headers);
+        return response;
+    }
+
+    async _route(path, options, context) {
         log(`Routing path '${path}'`);
 
-        const manifest = await this.fetchManifest();
+        const prefix = this._options.diagnosticsPrefix.replace(/\/?$/, '/');
+        if (path.startsWith(prefix)) {
+            return this._routeDiagnostics(path.substring(prefix.length), options);
+        }
+
+        const manifest = await this._tracked(() => this.fetchManifest(), 'manifest', context);
+        context.manifest = manifest;
+
+        const redirect = matchRedirect(manifest.redirects, path);
+        if (redirect) {
+            log(`Redirect rule matched '${path}'`, redirect.location);
+            return this._createRedirect(redirect.status, redirect.location, redirect.query ? options.query : '', options);
+        }
 
         if ('/' === path) {
             log("Root redirect to default app", manifest.default);
-            return {
-                statusCode: 301,
-                headers: {
-                    'Location': '/' + manifest.default + '/',
-                    'Cache-Control': this._createCacheResponse(options.clientAge, options.cacheAge)
-                }
-            };
+            return this._createRedirect(301, '/' + manifest.default + '/', options.query, options);
         }
 
         const match = pathPattern.exec(path);
-        if (!match) {
+        const decoded = match ? decodePath(match[1]) : undefined;
+        if (!decoded) {
             log("Invalid path detected");
-            return {
-                statusCode: 404,
-                headers: {
-                    'Content-Type': 'application/json',
-                    'Cache-Control': this._createCacheResponse(options.clientAge)
-                },
-                body: JSON.stringify({
-                    error: 'Invalid path'
-                })
-            };
+            return this._createError(404, 'Invalid path', undefined, options, context);
         }
 
-        const app = match[1];
+        const app = this._findApp(manifest, decoded);
 
-        if (!manifest.apps.includes(app)) {
+        if (!app) {
             log("Application not found");
-            return {
-                statusCode: 404,
-                headers: {
-                    'Content-Type': 'application/json',
-                    'Cache-Control': this._createCacheResponse(options.clientAge)
-                },
-                body: JSON.stringify({
-                    error: 'Application not found'
-                })
-            };
+            return this._createError(404, 'Application not found', undefined, options, context);
+        }
+
+        context.app = app;
+
+        // The app path stays percent-encoded, it is only ever passed on in a Location.
+        const appPath = match[2] || '';
+        if (decodePath(appPath) === undefined) {
+            log("Invalid path inside app detected");
+            return this._createError(404, 'Invalid path', undefined, options, context);
+        }
+
+        if (app !== match[1]) {
+            log(`Redirect to canonical app name ${app}`);
+            return this._createRedirect(301, '/' + app + (appPath || '/'), options.query, options);
         }
 
-        const appPath = match[2];
-        if (!appPath) {
+        const trailingSlash = appSettings(manifest, app).trailingSlash || manifest.trailingSlash || 'add';
+
+        if (!appPath && trailingSlash !== 'ignore') {
             log("Redirect to app", app);
-            return {
-                statusCode: 301,
-                headers: {
-                    'Location': '/' + app + '/',
-                    'Cache-Control': this._createCacheResponse(options.clientAge, options.cacheAge)
-                }
-            };
+            return this._createRedirect(301, '/' + app + '/', options.query, options);
         }
 
         if (appcachePattern.test(appPath)) {
             log("App cache fetch detected, blocking");
-            return {
-                statusCode: 404,
-                headers: {
-                    'Content-Type': 'application/json',
-                    'Cache-Control': this._createCacheResponse(options.clientAge)
-                },
-                body: JSON.stringify({
-                    error: 'Application cache not found'
-                })
-            };
+            return this._createError(404, 'Application cache not found', undefined, options, context);
         }
 
-        if (appPath.length > 1) {
+        const mode = routingMode(manifest, app);
+
+        if (appPath.length > 1 && mode === 'hash') {
             log(`Redirect to path inside ${app}: ${appPath}`);
-            return {
-                statusCode: 301,
-                headers: {
-                    'Location': '/' + app + '/#' + appPath.substring(1),
-                    'Cache-Control': this._createCacheResponse(options.clientAge, options.cacheAge)
-                }
-            };
+            return this._createRedirect(301, '/' + app + '/#' + appPath.substring(1), options.query, options);
+        }
+
+        if (appPath.length > 1 && appPath.endsWith('/') && trailingSlash === 'remove') {
+            log(`Redirect to path without trailing slash inside ${app}: ${appPath}`);
+            return this._createRedirect(301, '/' + app + appPath.replace(/\/+$/, ''), options.query, options);
+        }
+
+        const assignment = this._assignBuild(manifest, app, options.headers);
+        const build = assignment && assignment.build;
+        context.build = build && build.name;
+
+        const html = await this._tracked(() => this.getSiteIndex(app, manifest, build), 'index', context);
+        const config = await this._tracked(() => this.fetchConfig(), 'config', context);
+
+        const policy = appSettings(manifest, app).csp || manifest.csp || this._options.csp;
+        const nonce = policy ? createNonce() : undefined;
+
+        const rendered = await this.render(app, manifest, config, html, {
+            base: mode === 'history' ? '/' + app + '/' : undefined,
+            nonce: nonce ? this._noncePlaceholder : undefined,
+            build,
+            context
+        });
+
+        const body = nonce ? rendered.body.split(this._noncePlaceholder).join(nonce) : rendered.body;
+
+        const headers = {
+            'Content-Type': 'text/html',
+            'Cache-Control': this._createCacheResponse(options.clientAge, options.cacheAge)
+        };
+
+        if (assignment) {
+            // Which build is served depends on the client, so shared caches must not store it.
+            context.private = true;
+            headers['Cache-Control'] = this._createCacheResponse(options.clientAge, undefined, true);
+            headers['X-App-Build'] = build.name;
+
+            if (assignment.cookie) {
+                headers['Set-Cookie'] = assignment.cookie;
+            }
+        }
+
+        const compressible = this._options.compression && Buffer.byteLength(body) >= this._options.compressionThreshold;
+        const encoding = compressible ? negotiateEncoding(getHeader(options.headers, 'Accept-Encoding'), encodings) : undefined;
+
+        if (compressible) {
+            headers['Vary'] = 'Accept-Encoding';
+        }
+
+        if (policy) {
+            // Every response carries a fresh nonce, so there is no stable validator to offer.
+            headers['Content-Security-Policy'] = buildPolicy(policy, {
+                nonce,
+                assetsUrl: this._assetsUrl,
+                apiUrl: this._apiUrl
+            });
+        } else {
+            // Each encoding is a separate representation and needs its own validator.
+            headers['ETag'] = encoding ? rendered.etag.replace(/"$/, '-' + encoding + '"') : rendered.etag;
+
+            if (matchesETag(getHeader(options.headers, 'If-None-Match'), headers['ETag'])) {
+                log("Content not modified for", app);
+                return {
+                    statusCode: 304,
+                    headers: Object.assign({
+                        'ETag': headers['ETag'],
+                        'Cache-Control': headers['Cache-Control']
+                    }, compressible ? { 'Vary': headers['Vary'] } : {})
+                };
+            }
         }
 
-        const html = await this.getSiteIndex(app, manifest);
-        const config = await this.fetchConfig().then(config => Object.assign({
-            target: [ '/' + app + '/' ]
-        }, config, manifest.config));
+        if (encoding) {
+            log(`Returning ${encoding} body content for`, app);
 
-        const body = await this.transform(app, html, config);
+            // Output with a per-response nonce can't be shared, the rest is compressed once per rendering.
+            const compressed = await (nonce ? compress(encoding, body) : this._compressed(rendered, encoding));
+
+            headers['Content-Encoding'] = encoding;
+            return {
+                statusCode: 200,
+                headers,
+                body: compressed.toString('base64'),
+                isBase64Encoded: true
+            };
+        }
 
         log("Returning body content for",app);
         return {
             statusCode: 200,
-            headers: {
-                'Content-Type': 'text/html',
-                'Cache-Control': this._createCacheResponse(options.clientAge, options.cacheAge)
-            },
+            headers,
             body
         };
     }
 
-    async transform(app, html, config) {
-        const jsdom = new JSDOM(html);
-        const document = jsdom.window.document;
+    _compressed(rendered, encoding) {
+        if (!rendered.variants[encoding]) {
+            rendered.variants[encoding] = compress(encoding, rendered.body).catch(err => {
+                delete rendered.variants[encoding];
+                throw err;
+            });
+        }
+
+        return rendered.variants[encoding];
+    }
+
+    // Returns the build to serve for apps that declare several, and the cookie
+    // to set when the client didn't already carry a valid assignment. New
+    // assignments hash the sticky header when configured and are random otherwise.
+    _assignBuild(manifest, app, headers) {
+        const builds = appBuilds(manifest, app);
+        if (!builds.length) {
+            return undefined;
+        }
+
+        const sticky = Object.assign({ cookie: 'build_' + app }, appSettings(manifest, app).sticky);
+
+        const current = getCookie(headers, sticky.cookie);
+        const kept = builds.find(build => build.name === current && build.weight > 0);
+        if (kept) {
+            return { build: kept };
+        }
+
+        const value = sticky.header && getHeader(headers, sticky.header);
+        const point = value
+            ? crypto.createHash('sha256').update(app + ':' + value).digest().readUInt32BE(0) / 0x100000000
+            : this._random();
+
+        const build = pickBuild(builds, point);
+        log(`Assigned build '${build.name}' of ${app}`);
+
+        return {
+            build,
+            cookie: `${sticky.cookie}=${build.name}; Path=/${app}/; Max-Age=${buildCookieAge}; SameSite=Lax; Secure`
+        };
+    }
+
+    // Rendered output is cached by app, build, build hash and config version. An entry
+    // is only reused while the manifest and index it was rendered from are still
+    // the cached copies, so refreshing any of the inputs renders the app again.
+    async render(app, manifest, config, html, options) {
+        const key = [ app, options.build ? options.build.name : '', manifest.hash || '', this._version(config) ].join(':');
+
+        const cached = this._rendered.get(key);
+        const hit = cached && cached.manifest === manifest && cached.html === html;
+        if (options.context) {
+            options.context.cache.render = hit ? 'hit' : 'miss';
+        }
+
+        if (hit) {
+            log("Serving rendered output for", app);
+            return cached.output;
+        }
+
+        log("Rendering output for", app);
+
+        // Digests that could not be computed are retried on the next request
+        // instead of being left out of the cached output.
+        let complete = true;
+        const integrity = key => this.getIntegrity(manifest, key).then(digest => {
+            complete = complete && (digest !== undefined || !this._options.computeIntegrity);
+            return digest;
+        });
+
+        const output = this.transform(app, html, this.buildConfig(app, manifest, config, options.build), {
+            base: options.base,
+            nonce: options.nonce,
+            integrity,
+            rules: defaultRules.concat(manifest.rewrite || [], appSettings(manifest, app).rewrite || [])
+        }).then(body => ({
+            body,
+            etag: options.nonce ? undefined : this._createETag(body),
+            variants: {}
+        }));
+
+        this._rendered.set(key, { manifest, html, output });
+
+        const evict = () => {
+            if (this._rendered.has(key) && this._rendered.get(key).output === output) {
+                this._rendered.delete(key);
+            }
+        };
+
+        output.then(() => complete || evict(), evict);
+        return output;
+    }
+
+    // Cached documents are replaced rather than modified, so identity doubles as a version.
+    _version(document) {
+        if (!this._versions.has(document)) {
+            this._versions.set(document, ++this._lastVersion);
+        }
+
+        return this._versions.get(document);
+    }
+
+    _createETag(body) {
+        return '"' + crypto.createHash('sha256').update(body).digest('hex').substring(0, 32) + '"';
+    }
+
+    // The injected config is merged from these layers, later layers winning:
+    //
+    //   1. router defaults (target, assets_url, api_url)
+    //   2. config.json
+    //   3. manifest.json "config"
+    //   4. config.json "apps.<app>.config"
+    //   5. manifest.json "apps.<app>.config"
+    //   6. the name of the served build, for apps with several builds
+    //
+    // Objects are merged recursively, arrays and other values are replaced, and
+    // a null value removes the key inherited from earlier layers.
+    buildConfig(app, manifest, config, build) {
+        const shared = Object.assign({}, config);
+        delete shared.apps;
+        delete shared.schemaVersion;
+
+        const apps = config.apps || {};
+
+        return mergeConfig(
+            { target: [ '/' + app + '/' ] },
+            shared,
+            manifest.config,
+            (apps[app] || {}).config,
+            appSettings(manifest, app).config,
+            build ? { build: build.name } : undefined
+        );
+    }
+
+    async transform(app, html, config, options) {
+        options = Object.assign({
+            base: undefined,
+            nonce: undefined,
+            integrity: undefined,
+            rules: defaultRules
+        }, options);
+
+        const handlers = [].concat(
+            this.rewriteHandlers(options.rules),
+            options.integrity ? this.integrityHandlers(options.integrity) : [],
+            this.configHandlers(app, config),
+            options.base ? this.baseHandlers(options.base) : [],
+            options.nonce ? this.nonceHandlers(options.nonce) : []
+        );
+
+        const rewriter = this._createRewriter();
+        handlers.forEach(({ tag, element }) => rewriter.on(tag, element));
+
+        return rewriter.transform(html);
+    }
+
+    _createRewriter() {
+        if (this._options.transformer === 'dom') {
+            // jsdom is slow to load, so cold starts only pay for it when it is used.
+            const { DomRewriter } = require('./dom');
+            return new DomRewriter();
+        }
+
+        return new HtmlRewriter();
+    }
+
+    // Reserved routes for checking a deployed router. Health is public so load
+    // balancers and monitors can use it, info and purge need the shared secret.
+    async _routeDiagnostics(name, options) {
+        const diagnostics = {
+            health: () => this._health(),
+            info: () => this._info(),
+            purge: () => this._purge()
+        };
+
+        if (!Object.prototype.hasOwnProperty.call(diagnostics, name)) {
+            return this._createDiagnostic(404, { error: 'Not found' });
+        }
+
+        if (name !== 'health' && !this._authorized(options.headers)) {
+            log(`Rejected unauthorized ${name} request`);
+            return this._createDiagnostic(403, { error: 'Forbidden' });
+        }
+
+        if (name === 'purge' && options.method !== 'POST') {
+            return this._createDiagnostic(405, { error: 'Method not allowed' }, { 'Allow': 'POST' });
+        }
+
+        return diagnostics[name]();
+    }
+
+    // Without a configured secret the protected routes are disabled. Digests
+    // are compared so the comparison takes the same time whatever the input.
+    _authorized(headers) {
+        const secret = this._options.diagnosticsSecret;
+        const given = getHeader(headers, secretHeader);
+        if (!secret || !given) {
+            return false;
+        }
 
-        this.relocate(document, "link", "href");
-        this.relocate(document, "script", "src");
+        const digest = value => crypto.createHash('sha256').update(value).digest();
+        return crypto.timingSafeEqual(digest(given), digest(secret));
+    }
 
-        this.patchConfig(app, document, config);
+    // Checks are tracked apart from the request, whose response is never cached anyway.
+    async _health() {
+        const context = { stale: [], cache: {}, upstream: {} };
+        const checks = {};
+        const check = async (name, load) => {
+            try {
+                await this._tracked(load, name, context);
+                checks[name] = context.stale.includes(name) ? 'stale' : 'ok';
+            } catch (err) {
+                checks[name] = errorMessages[err.code] ? err.code : 'internal_error';
+            }
+        };
 
-        return jsdom.serialize();
+        await Promise.all([
+            check('manifest', () => this.fetchManifest()),
+            check('config', () => this.fetchConfig())
+        ]);
+
+        const healthy = Object.keys(checks).every(name => checks[name] === 'ok' || checks[name] === 'stale');
+        return this._createDiagnostic(healthy ? 200 : 503, { status: healthy ? 'ok' : 'failing', checks });
     }
 
-    _createCacheResponse(clientAge, cacheAge) {
+    // Only reports what is already cached, it never loads anything itself.
+    async _info() {
+        const describe = promise => {
+            const entry = promise && this._expiry.get(promise);
+            if (!entry) {
+                return undefined;
+            }
+
+            return {
+                age: entry.loaded === undefined ? null : Math.floor((this._now() - entry.loaded) / 1000),
+                stale: !!entry.failed
+            };
+        };
+
+        const cached = describe(this._manifestPromise);
+        const manifest = cached ? await this._manifestPromise : undefined;
+
+        const indexes = {};
+        Object.keys(this._indexes).forEach(key => {
+            const index = describe(this._indexes[key]);
+            if (index) {
+                indexes[key] = index;
+            }
+        });
+
+        return this._createDiagnostic(200, {
+            version,
+            manifest: manifest ? Object.assign({ hash: manifest.hash || null, apps: appNames(manifest) }, cached) : null,
+            config: describe(this._configPromise) || null,
+            indexes,
+            rendered: this._rendered.size,
+            circuits: Object.keys(this._circuits).filter(url => this._circuits[url].openUntil !== undefined)
+        });
+    }
+
+    // Drops the cached documents so the next request downloads them again.
+    _purge() {
+        log("Purging cached documents");
+
+        this._manifestPromise = undefined;
+        this._configPromise = undefined;
+        this._indexes = {};
+        this._rendered.clear();
+
+        return this._createDiagnostic(200, { purged: [ 'manifest', 'config', 'indexes' ] });
+    }
+
+    _createDiagnostic(status, body, headers) {
+        return {
+            statusCode: status,
+            headers: Object.assign({
+                'Content-Type': 'application/json',
+                'Cache-Control': 'no-store'
+            }, headers),
+            body: JSON.stringify(body)
+        };
+    }
+
+    _createRedirect(status, location, query, options) {
+        return {
+            statusCode: status,
+            headers: {
+                'Location': appendQuery(location, query),
+                'Cache-Control': this._createCacheResponse(options.clientAge, options.cacheAge)
+            }
+        };
+    }
+
+    // Finds the app named by the first path segment, ignoring case when the
+    // manifest asks for it. The returned name is spelled as in the manifest.
+    _findApp(manifest, name) {
+        const apps = appNames(manifest);
+        if (apps.includes(name)) {
+            return name;
+        }
+
+        if (manifest.caseInsensitive) {
+            return apps.find(app => app.toLowerCase() === name.toLowerCase());
+        }
+
+        return undefined;
+    }
+
+    _createCacheResponse(clientAge, cacheAge, isPrivate) {
         const response = {
             "max-age": clientAge,
             "s-maxage": cacheAge
         };
 
-        return Object.keys(response).map(key => {
+        const directives = Object.keys(response).map(key => {
             const value = response[key];
             if (value === undefined) {
                 return undefined;
             }
             return key + "=" + value;
-        }).join(", ");
+        }).filter(directive => directive !== undefined);
+
+        return (isPrivate ? [ "private" ] : []).concat(directives).join(", ");
     }
 
-    relocate(document, tag, attr) {
-        log(`Relocating ${tag} elements`);
+    rewriteHandlers(rules) {
+        const resolve = url => this._assetsUrl + url;
 
-        const elements = document.getElementsByTagName(tag);
+        return rules.map(rule => ({
+            tag: rule.tag,
+            element: element => {
+                if (!matchesRule(rule, element.tagName, name => element.getAttribute(name))) {
+                    return;
+                }
 
-        for (let element of elements) {
-            const src = element.getAttribute(attr);
-            if (!linkPattern.test(src)) {
-                continue;
-            }
+                const value = rule.attribute ? element.getAttribute(rule.attribute) : element.textContent;
+                if (value === null || value === undefined) {
+                    return;
+                }
 
-            element.setAttribute(attr,this._assetsUrl + src);
-        }
+                const rewritten = rewriteValue(rule.type, value, resolve);
+                if (rewritten === value) {
+                    return;
+                }
+
+                if (rule.attribute) {
+                    element.setAttribute(rule.attribute, rewritten);
+                } else {
+                    element.setInnerContent(rewritten);
+                }
+            }
+        }));
     }
 
-    patchConfig(app, document, config) {
-        log("Patching config");
+    configHandlers(app, config) {
+        const configString = "_app_config = " + JSON.stringify(config).replace(/</g, '\\u003c') + ";";
 
-        const configString = "_app_config = " + JSON.stringify(config) + ";";
+        return [ {
+            tag: 'script',
+            element: script => {
+                if (!configSrcPattern.test(script.getAttribute("src"))) {
+                    return;
+                }
 
-        Array
-            .from(document.getElementsByTagName("script"))
-            .filter(script => configSrcPattern.test(script.getAttribute("src")))
-            .forEach(script => {
+                log("Patching config for", app);
                 script.removeAttribute("src");
-                script.innerHTML = configString;
-            })
+                script.setInnerContent(configString);
+            }
+        } ];
     }
 
-    async getSiteIndex(app, manifest) {
-        log("Fetching site index for", app);
+    baseHandlers(href) {
+        const base = `<base href="${href}">`;
+        let injected = false;
+
+        return [
+            { tag: 'base', element: element => element.remove() },
+            {
+                tag: 'head',
+                element: head => {
+                    log("Injecting base", href);
+                    head.prepend(base);
+                    injected = true;
+                }
+            },
+            {
+                tag: 'body',
+                element: body => {
+                    if (!injected) {
+                        log("Injecting base before body", href);
+                        body.before(base);
+                        injected = true;
+                    }
+                }
+            }
+        ];
+    }
+
+    integrityHandlers(integrity) {
+        const apply = attr => async element => {
+            const url = element.getAttribute(attr);
+            if (element.hasAttribute("integrity") || url === null || !url.startsWith(this._assetsUrl)) {
+                return;
+            }
+
+            if (element.tagName === "link") {
+                const rel = (element.getAttribute("rel") || "").toLowerCase().split(/\s+/);
+                if (!integrityRels.some(value => rel.includes(value))) {
+                    return;
+                }
+            }
+
+            const digest = await integrity(url.substring(this._assetsUrl.length));
+            if (!digest) {
+                return;
+            }
 
-        if (this._indexes[app]) {
-            return this._indexes[app];
+            element.setAttribute("integrity", digest);
+            if (!element.hasAttribute("crossorigin")) {
+                element.setAttribute("crossorigin", "anonymous");
+            }
+        };
+
+        return [
+            { tag: 'script', element: apply("src") },
+            { tag: 'link', element: apply("href") }
+        ];
+    }
+
+    // Digests are cached per build hash. Without a hash there is nothing that
+    // says when an asset changed, so they are computed again on every render.
+    async getIntegrity(manifest, key) {
+        const known = manifest.integrity && manifest.integrity[key];
+        if (known || !this._options.computeIntegrity) {
+            return known;
         }
 
-        const url = this._assetsUrl + app + '/index.html';
-        return this._indexes[app] = this._fetch(url).catch(err => {
-            this._indexes[app] = undefined;
-            throw err;
+        const build = manifest.hash;
+        if (!build) {
+            return this._computeIntegrity(key);
+        }
+
+        if (!this._digests[build]) {
+            log("Resetting integrity digests for build", build);
+            this._digests = { [build]: {} };
+        }
+
+        const digests = this._digests[build];
+        if (!digests[key]) {
+            digests[key] = this._computeIntegrity(key).then(digest => {
+                if (digest === undefined) {
+                    delete digests[key];
+                }
+                return digest;
+            });
+        }
+
+        return digests[key];
+    }
+
+    _computeIntegrity(key) {
+        const url = this._assetsUrl + key;
+        return this._fetch(url, { buffer: true, source: 'index', key }).then(content => {
+            return 'sha384-' + crypto.createHash('sha384').update(content).digest('base64');
+        }).catch(err => {
+            log(`Unable to compute integrity for ${url}`, err);
+            return undefined;
         });
     }
 
-    fetchManifest() {
-        if (this._manifestPromise) {
-            return this._manifestPromise;
-        }
+    nonceHandlers(nonce) {
+        return [
+            {
+                tag: 'script',
+                element: script => {
+                    if (!script.hasAttribute("src")) {
+                        script.setAttribute("nonce", nonce);
+                    }
+                }
+            },
+            { tag: 'style', element: style => style.setAttribute("nonce", nonce) }
+        ];
+    }
+
+    getSiteIndex(app, manifest, build) {
+        log("Fetching site index for", app, build ? build.name : '');
 
+        const key = build ? build.index : app + '/index.html';
+        const url = this._assetsUrl + key;
+        return this._cached(this._indexes, build ? app + ':' + build.name : app, this._options.indexTtl, (revalidate, validators) => {
+            return this._fetch(url, { revalidate, validators, source: 'index', key });
+        }, url);
+    }
+
+    fetchManifest() {
         const url = this._assetsUrl + 'manifest.json';
 
         log("Fetching manifest");
-        this._manifestPromise = this._fetch(url, { json: true }).catch(err => {
-            this._manifestPromise = undefined;
-            throw err;
+        return this._cached(this, '_manifestPromise', this._options.manifestTtl, (revalidate, validators) => {
+            return this._fetch(url, { json: true, revalidate, validators, source: 'manifest', key: 'manifest.json' })
+                .then(manifest => this._validate(validateManifest, manifest));
+        }, url);
+    }
+
+    // Documents with a `backup` key are also written to the backup directory
+    // whenever they load, and restored from it when the initial load fails.
+    // A restored copy counts as stale and is refreshed on the next request.
+    // Loaders collect response validators in the object they are given, and
+    // those are only kept once the document is accepted, so a rejected
+    // response is never revalidated into a 304. `prepare` derives the cached
+    // value from a loaded or restored document, the backup keeps the document.
+    _cached(container, key, ttl, load, backup, prepare) {
+        prepare = prepare || (value => value);
+
+        const current = container[key];
+
+        if (current) {
+            const entry = this._expiry.get(current);
+            if (entry && !entry.refreshing && entry.expires <= this._now()) {
+                log(`Refreshing stale '${key}' in the background`);
+                entry.refreshing = true;
+
+                const validators = {};
+                let document;
+                const next = load(true, validators).then(value => prepare(document = value));
+                next.then(() => {
+                    if (container[key] === current) {
+                        container[key] = next;
+                        Object.assign(this._validators, validators);
+                        this._expiry.set(next, { expires: this._now() + ttl * 1000, loaded: this._now() });
+                        this._writeBackup(backup, document);
+                    }
+                }, err => {
+                    entry.refreshing = false;
+
+                    if (err instanceof NotModifiedError) {
+                        log(`Cached '${key}' is still fresh`);
+                        entry.expires = this._now() + ttl * 1000;
+                        entry.loaded = this._now();
+                        entry.failed = false;
+                        return;
+                    }
+
+                    // Wait a while before trying again rather than refreshing on every request.
+                    log(`Refresh of '${key}' failed, keeping cached copy`, err);
+                    entry.expires = this._now() + Math.min(ttl, this._options.refreshRetry) * 1000;
+                    entry.failed = true;
+                });
+            }
+
+            return current;
+        }
+
+        let restored = false;
+        let document;
+        const validators = {};
+        const promise = load(false, validators).catch(async err => {
+            const value = backup && this._backup ? await this._backup.read(backup) : undefined;
+            if (value === undefined) {
+                throw err;
+            }
+
+            log(`Loading '${key}' failed, restored backup`, err);
+            restored = true;
+            return value;
+        }).then(value => prepare(document = value));
+        container[key] = promise;
+
+        promise.then(() => {
+            if (restored) {
+                this._expiry.set(promise, { expires: this._now(), failed: true });
+            } else {
+                this._expiry.set(promise, { expires: this._now() + ttl * 1000, loaded: this._now() });
+                Object.assign(this._validators, validators);
+                this._writeBackup(backup, document);
+            }
+        }, () => {
+            if (container[key] === promise) {
+                container[key] = undefined;
+            }
         });
 
-        return this._manifestPromise;
+        return promise;
+    }
+
+    // Loads a cached document, noting in the request context whether it was
+    // cached, how long the request waited for the upstream when it wasn't, and
+    // when it is a copy that could not be refreshed.
+    async _tracked(load, name, context) {
+        const started = this._now();
+        const promise = load();
+        const cached = this._expiry.has(promise);
+
+        let value;
+        try {
+            value = await promise;
+        } finally {
+            context.cache[name] = cached ? 'hit' : 'miss';
+            if (!cached) {
+                context.upstream[name] = this._now() - started;
+            }
+        }
+
+        const entry = this._expiry.get(promise);
+        if (entry && entry.failed) {
+            context.stale.push(name);
+        }
+
+        return value;
+    }
+
+    _writeBackup(key, value) {
+        if (key && this._backup) {
+            this._backup.write(key, value);
+        }
+    }
+
+    _validate(validate, document) {
+        try {
+            return validate(document);
+        } catch (err) {
+            if (err instanceof ValidationError) {
+                log(`Rejected ${err.document}`, err.message);
+            }
+            throw err;
+        }
+    }
+
+    _now() {
+        return Date.now();
     }
 
+    _random() {
+        return Math.random();
+    }
+
+    // Attempts are spaced by exponential backoff with full jitter, and only
+    // network errors, timeouts and retryable statuses are attempted again.
     async _fetch(url, options) {
         options = Object.assign({
             json: false,
+            buffer: false,
+            revalidate: false,
             retries: 3
         }, options);
 
-        return (async retries => {
-            let attempt = 1;
-            while (attempt <= retries) {
-                try {
-                    log(`Downloading from ${url} (json: ${options.json}) (attempt: ${attempt} / ${retries})`);
-                    return await this._doFetch(url, options, attempt);
+        const retries = this._enterCircuit(url) ? 1 : options.retries;
+
+        let attempt = 1;
+        while (true) {
+            try {
+                log(`Downloading from ${url} (json: ${options.json}) (attempt: ${attempt} / ${retries})`);
+                const result = await this._doFetch(url, options, attempt);
+                this._leaveCircuit(url, true);
+                return result;
             } catch (e) {
-                    ++ attempt;
-                    if (attempt > retries) {
-                        throw e;
-                    }
+                if (e instanceof NotModifiedError) {
+                    this._leaveCircuit(url, true);
+                    throw e;
+                }
+
+                const retryable = this._isRetryable(e);
+                if (!retryable || attempt >= retries) {
+                    this._leaveCircuit(url, !retryable);
+                    throw e instanceof UpstreamError || e instanceof ValidationError ? e : new UpstreamError(url, undefined, e);
                 }
+
+                const delay = this._random() * Math.min(this._options.retryMaxDelay, this._options.retryDelay * 2 ** (attempt - 1));
+                log(`Retrying ${url} in ${Math.round(delay)}ms`, e.message);
+                if (delay > 0) {
+                    await this._sleep(delay);
+                }
+
+                ++ attempt;
+            }
+        }
+    }
+
+    // Documents that don't parse won't get better by downloading them again.
+    _isRetryable(err) {
+        if (err instanceof ValidationError) {
+            return false;
+        }
+
+        return !(err instanceof UpstreamError) || err.status === undefined || retryableStatuses.includes(err.status);
+    }
+
+    // Circuits open after `circuitThreshold` consecutive failed downloads of a
+    // URL and fail fast for `circuitCooldown` ms. After that a single probe is
+    // let through, and its outcome closes or reopens the circuit. Returns true
+    // when the caller is that probe.
+    _enterCircuit(url) {
+        const circuit = this._circuits[url];
+        if (!circuit || circuit.openUntil === undefined) {
+            return false;
+        }
+
+        if (circuit.probing || circuit.openUntil > this._now()) {
+            throw new CircuitOpenError(url);
+        }
+
+        log(`Probing ${url} after its circuit opened`);
+        circuit.probing = true;
+        return true;
+    }
+
+    _leaveCircuit(url, healthy) {
+        if (healthy) {
+            if (this._circuits[url]) {
+                log(`Closing circuit for ${url}`);
+                delete this._circuits[url];
             }
-        })(options.retries);
+            return;
+        }
+
+        const circuit = this._circuits[url] || (this._circuits[url] = { failures: 0 });
+        circuit.failures += 1;
+        circuit.probing = false;
+
+        if (circuit.failures >= this._options.circuitThreshold) {
+            log(`Opening circuit for ${url} after ${circuit.failures} failures`);
+            circuit.openUntil = this._now() + this._options.circuitCooldown;
+        }
+    }
+
+    _sleep(ms) {
+        return new Promise(resolve => setTimeout(resolve, ms));
     }
 
     async _doFetch(url, options) {
-        const res = await this._rawFetch(url);
-        log(`Downloaded asset: ${url}: ${res.status} / ${res.statusText}`);
+        const headers = {};
 
-        if (!res.ok) {
-            throw Error("Failed to download asset");
+        const validators = this._validators[url];
+        if (options.revalidate && validators) {
+            if (validators.etag) {
+                headers['If-None-Match'] = validators.etag;
+            }
+            if (validators.lastModified) {
+                headers['If-Modified-Since'] = validators.lastModified;
+            }
         }
 
-        if (options.json) {
-            return res.json();
-        } else {
-            return res.text();
+        return this._withTimeout(url, async signal => {
+            const res = await this._rawFetch(url, { headers, signal }, options);
+            log(`Downloaded asset: ${url}: ${res.status} / ${res.statusText}`);
+
+            if (res.status === 304) {
+                throw new NotModifiedError(url);
+            }
+
+            if (!res.ok) {
+                throw new UpstreamError(url, res.status);
+            }
+
+            if (res.headers && options.validators) {
+                options.validators[url] = {
+                    etag: res.headers.get('etag'),
+                    lastModified: res.headers.get('last-modified')
+                };
+            }
+
+            if (options.json) {
+                // node-fetch reports bodies that don't parse as 'invalid-json', other sources as a SyntaxError.
+                return res.json().catch(err => {
+                    if (err instanceof SyntaxError || err.type === 'invalid-json') {
+                        throw new ValidationError(options.source, '(root)', 'is not valid JSON');
+                    }
+                    throw err;
+                });
+            } else if (options.buffer) {
+                return res.buffer();
+            } else {
+                return res.text();
+            }
+        });
+    }
+
+    // Aborts the download through its signal once `fetchTimeout` ms have
+    // passed, and stops waiting for sources that don't support one. Runtimes
+    // without AbortController (before Node 15) only get the latter.
+    _withTimeout(url, work) {
+        const timeout = this._options.fetchTimeout;
+        const controller = typeof AbortController === 'function' ? new AbortController() : undefined;
+        const signal = controller && controller.signal;
+
+        if (!timeout) {
+            return work(signal);
         }
+
+        let timer;
+        const expired = new Promise((resolve, reject) => {
+            timer = setTimeout(() => {
+                if (controller) {
+                    controller.abort();
+                }
+                reject(new UpstreamError(url, undefined, new Error(`Timed out after ${timeout}ms`)));
+            }, timeout);
+        });
+
+        return Promise.race([ work(signal), expired ]).finally(() => clearTimeout(timer));
     }
 
-    async _rawFetch(url) {
-        return fetch(url);
+    async _rawFetch(url, init, options) {
+        return this._sources[options.source].get(options.key, init);
     }
 }
 
 exports.Router = Router;
+exports.NotModifiedError = NotModifiedError;
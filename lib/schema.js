@@ -0,0 +1,309 @@
+const { ValidationError } = require('./errors');
+const { rewriteTypes } = require('./rewrite');
+const { redirectMatches, redirectStatuses } = require('./redirects');
+
+const appNamePattern = '^[A-Za-z0-9\\-_]+$';
+const trailingSlashModes = [ 'add', 'remove', 'ignore' ];
+
+const typeOf = value => {
+    if (Array.isArray(value)) {
+        return 'array';
+    }
+    if (value === null) {
+        return 'null';
+    }
+    if (Number.isInteger(value)) {
+        return 'integer';
+    }
+    return typeof value;
+};
+
+const matchesType = (value, type) => {
+    const actual = typeOf(value);
+    return actual === type || (type === 'number' && actual === 'integer');
+};
+
+const join = (path, key) => {
+    if (typeof key === 'number') {
+        return `${path}[${key}]`;
+    }
+
+    return path ? `${path}.${key}` : key;
+};
+
+const check = (document, schema, value, path) => {
+    if (schema.oneOf) {
+        const errors = [];
+        for (let candidate of schema.oneOf) {
+            try {
+                return check(document, candidate, value, path);
+            } catch (err) {
+                errors.push(err);
+            }
+        }
+
+        throw errors.find(err => err.field !== path) || errors[0];
+    }
+
+    const fail = message => {
+        throw new ValidationError(document, path || '(root)', message);
+    };
+
+    const types = [].concat(schema.type || []);
+    if (types.length && !types.some(type => matchesType(value, type))) {
+        fail(`expected ${types.join(' or ')}, got ${typeOf(value)}`);
+    }
+
+    if (schema.enum && !schema.enum.includes(value)) {
+        fail(`expected one of ${schema.enum.map(value => JSON.stringify(value)).join(', ')}`);
+    }
+
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+        fail(`does not match ${schema.pattern}`);
+    }
+
+    if (schema.minimum !== undefined && value < schema.minimum) {
+        fail(`must be at least ${schema.minimum}`);
+    }
+
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+        fail(`must have at least ${schema.minItems} item(s)`);
+    }
+
+    if (schema.items) {
+        value.forEach((item, index) => check(document, schema.items, item, join(path, index)));
+    }
+
+    if (schema.required) {
+        schema.required
+            .filter(key => value[key] === undefined)
+            .forEach(key => {
+                throw new ValidationError(document, join(path, key), 'is required');
+            });
+    }
+
+    if (schema.properties || schema.additionalProperties) {
+        Object.keys(value).forEach(key => {
+            const property = (schema.properties && schema.properties[key]) || schema.additionalProperties;
+            if (property) {
+                check(document, property, value[key], join(path, key));
+            }
+        });
+    }
+
+    if (schema.propertyNames) {
+        Object.keys(value).forEach(key => check(document, schema.propertyNames, key, join(path, key)));
+    }
+
+    return value;
+};
+
+const policySchema = {
+    oneOf: [
+        { type: 'string' },
+        {
+            type: 'object',
+            additionalProperties: {
+                oneOf: [
+                    { type: 'string' },
+                    { type: 'array', items: { type: 'string' } }
+                ]
+            }
+        }
+    ]
+};
+
+const headersSchema = {
+    type: 'object',
+    additionalProperties: { type: [ 'string', 'null' ] }
+};
+
+const rewriteSchema = {
+    type: 'array',
+    items: {
+        type: 'object',
+        required: [ 'tag', 'type' ],
+        properties: {
+            tag: { type: 'string', pattern: '^(\\*|[A-Za-z][A-Za-z0-9\\-]*)$' },
+            attribute: { type: 'string', pattern: '^[^\\s"\'>/=]+$' },
+            type: { enum: rewriteTypes },
+            when: {
+                type: 'object',
+                additionalProperties: {
+                    oneOf: [
+                        { type: 'string' },
+                        { type: 'array', items: { type: 'string' } }
+                    ]
+                }
+            }
+        }
+    }
+};
+
+const redirectsSchema = {
+    type: 'array',
+    items: {
+        type: 'object',
+        required: [ 'from', 'to' ],
+        properties: {
+            from: { type: 'string' },
+            to: { type: 'string', pattern: '^\\S+$' },
+            match: { enum: redirectMatches },
+            status: { enum: redirectStatuses },
+            query: { type: 'boolean' }
+        }
+    }
+};
+
+const buildsSchema = {
+    type: 'array',
+    minItems: 1,
+    items: {
+        type: 'object',
+        required: [ 'name', 'weight' ],
+        properties: {
+            name: { type: 'string', pattern: appNamePattern },
+            weight: { type: 'integer', minimum: 0 },
+            index: { type: 'string' }
+        }
+    }
+};
+
+const stickySchema = {
+    type: 'object',
+    properties: {
+        cookie: { type: 'string', pattern: '^[A-Za-z0-9!#$%&\'*+\\-.^_`|~]+$' },
+        header: { type: 'string' }
+    }
+};
+
+const appSchema = {
+    type: 'object',
+    properties: {
+        routing: { enum: [ 'hash', 'history' ] },
+        config: { type: 'object' },
+        csp: policySchema,
+        headers: headersSchema,
+        rewrite: rewriteSchema,
+        builds: buildsSchema,
+        sticky: stickySchema,
+        trailingSlash: { enum: trailingSlashModes }
+    }
+};
+
+const manifestSchemas = {
+    1: {
+        type: 'object',
+        required: [ 'apps', 'default' ],
+        properties: {
+            schemaVersion: { type: 'integer' },
+            hash: { type: 'string' },
+            apps: {
+                oneOf: [
+                    {
+                        type: 'array',
+                        minItems: 1,
+                        items: { type: 'string', pattern: appNamePattern }
+                    },
+                    {
+                        type: 'object',
+                        propertyNames: { pattern: appNamePattern },
+                        additionalProperties: appSchema
+                    }
+                ]
+            },
+            default: { type: 'string' },
+            routing: { enum: [ 'hash', 'history' ] },
+            config: { type: 'object' },
+            csp: policySchema,
+            headers: headersSchema,
+            rewrite: rewriteSchema,
+            redirects: redirectsSchema,
+            trailingSlash: { enum: trailingSlashModes },
+            caseInsensitive: { type: 'boolean' },
+            integrity: {
+                type: 'object',
+                additionalProperties: { type: 'string', pattern: '^sha(256|384|512)-[A-Za-z0-9+/=]+$' }
+            }
+        }
+    }
+};
+
+const configSchemas = {
+    1: {
+        type: 'object',
+        properties: {
+            schemaVersion: { type: 'integer' },
+            apps: {
+                type: 'object',
+                propertyNames: { pattern: appNamePattern },
+                additionalProperties: {
+                    type: 'object',
+                    properties: {
+                        config: { type: 'object' }
+                    }
+                }
+            }
+        }
+    }
+};
+
+const versionOf = (document, value, schemas) => {
+    const version = (value && typeOf(value) === 'object' && value.schemaVersion !== undefined) ? value.schemaVersion : 1;
+    if (!schemas[version]) {
+        throw new ValidationError(document, 'schemaVersion', `unsupported version ${JSON.stringify(version)}`);
+    }
+
+    return version;
+};
+
+const validateManifest = manifest => {
+    check('manifest', manifestSchemas[versionOf('manifest', manifest, manifestSchemas)], manifest, '');
+
+    const apps = Array.isArray(manifest.apps) ? manifest.apps : Object.keys(manifest.apps);
+    if (!apps.includes(manifest.default)) {
+        throw new ValidationError('manifest', 'default', `'${manifest.default}' is not one of the apps`);
+    }
+
+    (manifest.redirects || []).forEach((rule, index) => {
+        const field = `redirects[${index}].from`;
+
+        if (rule.match === 'pattern') {
+            try {
+                new RegExp(rule.from);
+            } catch (err) {
+                throw new ValidationError('manifest', field, 'is not a valid pattern');
+            }
+        } else if (!rule.from.startsWith('/')) {
+            throw new ValidationError('manifest', field, "must start with '/'");
+        }
+    });
+
+    if (!Array.isArray(manifest.apps)) {
+        apps.filter(app => manifest.apps[app].builds).forEach(app => {
+            const builds = manifest.apps[app].builds;
+            const field = `apps.${app}.builds`;
+
+            builds.forEach((build, index) => {
+                if (builds.findIndex(other => other.name === build.name) !== index) {
+                    throw new ValidationError('manifest', `${field}[${index}].name`, `duplicate build '${build.name}'`);
+                }
+            });
+
+            if (!builds.some(build => build.weight > 0)) {
+                throw new ValidationError('manifest', field, 'must have a build with a positive weight');
+            }
+        });
+    }
+
+    return manifest;
+};
+
+const validateConfig = config => {
+    return check('config', configSchemas[versionOf('config', config, configSchemas)], config, '');
+};
+
+exports.manifestSchemas = manifestSchemas;
+exports.configSchemas = configSchemas;
+exports.validateManifest = validateManifest;
+exports.validateConfig = validateConfig;
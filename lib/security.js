@@ -0,0 +1,31 @@
+const defaultHeaders = {
+    'Strict-Transport-Security': 'max-age=31536000; includeSubDomains',
+    'X-Content-Type-Options': 'nosniff',
+    'Referrer-Policy': 'strict-origin-when-cross-origin',
+    'Permissions-Policy': 'camera=(), microphone=(), geolocation=(), payment=()',
+    'X-Frame-Options': 'DENY'
+};
+
+// Layers are applied on top of the defaults in order. Header names are matched
+// case-insensitively, and a null value removes a header set by an earlier layer.
+const resolveHeaders = (...layers) => {
+    const headers = {};
+
+    [ defaultHeaders ].concat(layers).forEach(layer => {
+        Object.keys(layer || {}).forEach(name => {
+            const existing = Object.keys(headers).find(key => key.toLowerCase() === name.toLowerCase());
+            if (existing !== undefined) {
+                delete headers[existing];
+            }
+
+            if (layer[name] !== null) {
+                headers[name] = layer[name];
+            }
+        });
+    });
+
+    return headers;
+};
+
+exports.defaultHeaders = defaultHeaders;
+exports.resolveHeaders = resolveHeaders;
@@ -0,0 +1,78 @@
+const http = require('http');
+const log = require('debug')('index-router');
+
+const readRequest = req => {
+    const url = new URL(req.url, 'http://localhost');
+
+    return {
+        path: url.pathname,
+        query: url.search.substring(1),
+        method: req.method,
+        headers: req.headers
+    };
+};
+
+const writeResponse = (res, response) => {
+    const body = response.body === undefined
+        ? undefined
+        : Buffer.from(response.body, response.isBase64Encoded ? 'base64' : 'utf8');
+
+    res.writeHead(response.statusCode, response.headers);
+    res.end(body);
+};
+
+const serveStatic = async (res, source, key, req) => {
+    const headers = {};
+    if (req.headers['if-none-match']) {
+        headers['If-None-Match'] = req.headers['if-none-match'];
+    }
+
+    const upstream = await source.get(key, { headers });
+    const responseHeaders = {};
+
+    [ 'content-type', 'etag', 'last-modified' ].forEach(name => {
+        const value = upstream.headers.get(name);
+        if (value) {
+            responseHeaders[name] = value;
+        }
+    });
+
+    res.writeHead(upstream.status, responseHeaders);
+    res.end(upstream.ok ? await upstream.buffer() : undefined);
+};
+
+const createServer = (router, options) => {
+    options = Object.assign({
+        statics: {},
+        cacheAge: 0,
+        clientAge: 0
+    }, options);
+
+    return http.createServer(async (req, res) => {
+        const request = readRequest(req);
+        log(`${request.method} ${req.url}`);
+
+        try {
+            const prefix = Object.keys(options.statics).find(prefix => request.path.startsWith(prefix));
+            if (prefix) {
+                return await serveStatic(res, options.statics[prefix], request.path.substring(prefix.length), req);
+            }
+
+            const response = await router.route(request.path, {
+                cacheAge: options.cacheAge,
+                clientAge: options.clientAge,
+                method: request.method,
+                query: request.query,
+                headers: request.headers
+            });
+
+            writeResponse(res, request.method === 'HEAD' ? Object.assign({}, response, { body: undefined }) : response);
+        } catch (err) {
+            log("Request failed", err);
+            res.writeHead(500, { 'Content-Type': 'text/plain' });
+            res.end(String(err));
+        }
+    });
+};
+
+exports.createServer = createServer;
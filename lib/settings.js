@@ -0,0 +1,160 @@
+const fs = require('fs');
+const path = require('path');
+const log = require('debug')('index-router');
+
+const defaultFile = path.join(__dirname, '..', 'router.json');
+
+const definitions = {
+    ASSETS_URL: { type: 'url', required: true },
+    API_URL: { type: 'url', required: true },
+    CLIENT_AGE: { type: 'integer', default: 60 },
+    CACHE_AGE: { type: 'integer', default: 300 },
+    MANIFEST_TTL: { type: 'integer', default: 60 },
+    CONFIG_TTL: { type: 'integer', default: 300 },
+    INDEX_TTL: { type: 'integer', default: 60 },
+    SECURITY_HEADERS: { type: 'object', default: {} },
+    SECURITY_PROFILES: { type: 'object', default: {} },
+    SECURITY_PROFILE: { type: 'string' },
+    COMPUTE_INTEGRITY: { type: 'boolean', default: false },
+    RENDER_CACHE_SIZE: { type: 'integer', default: 100 },
+    COMPRESSION: { type: 'boolean', default: true },
+    COMPRESSION_THRESHOLD: { type: 'integer', default: 1024 },
+    STALE_AGE: { type: 'integer', default: 10 },
+    REFRESH_RETRY: { type: 'integer', default: 10 },
+    BACKUP_DIR: { type: 'string', default: '/tmp/index-router' },
+    FETCH_TIMEOUT: { type: 'integer', default: 5000 },
+    RETRY_DELAY: { type: 'integer', default: 100 },
+    RETRY_MAX_DELAY: { type: 'integer', default: 2000 },
+    CIRCUIT_THRESHOLD: { type: 'integer', default: 5 },
+    CIRCUIT_COOLDOWN: { type: 'integer', default: 30000 },
+    METRICS_NAMESPACE: { type: 'string', default: 'IndexRouter' },
+    DIAGNOSTICS_PREFIX: { type: 'string', default: '/_router/' },
+    DIAGNOSTICS_SECRET: { type: 'string' }
+};
+
+class SettingsError extends Error {
+    constructor(message, setting) {
+        super(message);
+        this.name = 'SettingsError';
+        this.setting = setting;
+    }
+}
+
+const parsers = {
+    integer: (name, value) => {
+        if (typeof value === 'number' && Number.isInteger(value) && value >= 0) {
+            return value;
+        }
+
+        if (typeof value === 'string' && /^\d+$/.test(value.trim())) {
+            return parseInt(value, 10);
+        }
+
+        throw new SettingsError(`Setting '${name}' must be a non-negative integer`, name);
+    },
+
+    boolean: (name, value) => {
+        if (typeof value === 'boolean') {
+            return value;
+        }
+
+        if (typeof value === 'string' && /^(true|false)$/i.test(value.trim())) {
+            return value.trim().toLowerCase() === 'true';
+        }
+
+        throw new SettingsError(`Setting '${name}' must be true or false`, name);
+    },
+
+    string: (name, value) => {
+        if (typeof value !== 'string') {
+            throw new SettingsError(`Setting '${name}' must be a string`, name);
+        }
+
+        return value;
+    },
+
+    url: (name, value) => {
+        if (typeof value !== 'string') {
+            throw new SettingsError(`Setting '${name}' must be a URL`, name);
+        }
+
+        try {
+            new URL(value);
+        } catch (err) {
+            throw new SettingsError(`Setting '${name}' must be a URL`, name);
+        }
+
+        return value.endsWith('/') ? value : value + '/';
+    },
+
+    object: (name, value) => {
+        if (typeof value === 'string') {
+            try {
+                value = JSON.parse(value);
+            } catch (err) {
+                throw new SettingsError(`Setting '${name}' must be a JSON object`, name);
+            }
+        }
+
+        if (value === null || typeof value !== 'object' || Array.isArray(value)) {
+            throw new SettingsError(`Setting '${name}' must be a JSON object`, name);
+        }
+
+        return value;
+    }
+};
+
+const loadSettingsFile = file => {
+    file = file || defaultFile;
+
+    if (!fs.existsSync(file)) {
+        return {};
+    }
+
+    log("Loading settings from", file);
+
+    try {
+        return JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (err) {
+        throw new SettingsError(`Settings file '${file}' is not valid JSON`);
+    }
+};
+
+const resolveSettings = layers => {
+    const settings = {};
+
+    Object.keys(definitions).forEach(name => {
+        const definition = definitions[name];
+
+        const value = layers.reduce((value, layer) => {
+            const candidate = layer ? layer[name] : undefined;
+            return candidate === undefined || candidate === '' ? value : candidate;
+        }, definition.default);
+
+        if (value === undefined) {
+            if (definition.required) {
+                throw new SettingsError(`Missing required setting '${name}'`, name);
+            }
+            return;
+        }
+
+        settings[name] = parsers[definition.type](name, value);
+    });
+
+    // Stage variables can't hold JSON, so a stage picks one of the header
+    // profiles defined in the settings file or the environment by name.
+    const profile = settings.SECURITY_PROFILE;
+    if (profile !== undefined) {
+        const headers = Object.prototype.hasOwnProperty.call(settings.SECURITY_PROFILES, profile) ? settings.SECURITY_PROFILES[profile] : undefined;
+        if (headers === null || typeof headers !== 'object' || Array.isArray(headers)) {
+            throw new SettingsError(`Setting 'SECURITY_PROFILE' must name one of the SECURITY_PROFILES`, 'SECURITY_PROFILE');
+        }
+    }
+
+    return settings;
+};
+
+exports.definitions = definitions;
+exports.SettingsError = SettingsError;
+exports.loadSettingsFile = loadSettingsFile;
+exports.resolveSettings = resolveSettings;
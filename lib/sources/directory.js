@@ -0,0 +1,63 @@
+const fs = require('fs');
+const path = require('path');
+const { getHeader, matchesETag } = require('../http');
+const { SourceResponse } = require('./response');
+
+const contentTypes = {
+    '.html': 'text/html',
+    '.js': 'application/javascript',
+    '.css': 'text/css',
+    '.json': 'application/json',
+    '.svg': 'image/svg+xml',
+    '.png': 'image/png',
+    '.jpg': 'image/jpeg',
+    '.ico': 'image/x-icon',
+    '.woff2': 'font/woff2',
+    '.txt': 'text/plain'
+};
+
+class DirectorySource {
+    constructor(root) {
+        this._root = path.resolve(root);
+    }
+
+    async get(key, init) {
+        const file = path.resolve(this._root, key);
+        if (!file.startsWith(this._root + path.sep)) {
+            return new SourceResponse(403);
+        }
+
+        let stat;
+        try {
+            stat = await fs.promises.stat(file);
+        } catch (err) {
+            return new SourceResponse(404);
+        }
+
+        if (!stat.isFile()) {
+            return new SourceResponse(404);
+        }
+
+        const headers = {
+            'ETag': `"${stat.size.toString(16)}-${Math.floor(stat.mtimeMs).toString(16)}"`,
+            'Last-Modified': stat.mtime.toUTCString(),
+            'Content-Type': contentTypes[path.extname(file).toLowerCase()] || 'application/octet-stream'
+        };
+
+        const requestHeaders = (init && init.headers) || {};
+        const ifNoneMatch = getHeader(requestHeaders, 'If-None-Match');
+        const ifModifiedSince = getHeader(requestHeaders, 'If-Modified-Since');
+
+        const notModified = ifNoneMatch !== undefined
+            ? matchesETag(ifNoneMatch, headers['ETag'])
+            : ifModifiedSince === headers['Last-Modified'];
+
+        if (notModified) {
+            return new SourceResponse(304, undefined, headers);
+        }
+
+        return new SourceResponse(200, await fs.promises.readFile(file), headers);
+    }
+}
+
+exports.DirectorySource = DirectorySource;
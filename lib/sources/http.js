@@ -0,0 +1,13 @@
+const fetch = require('node-fetch');
+
+class HttpSource {
+    constructor(baseUrl) {
+        this._baseUrl = baseUrl;
+    }
+
+    async get(key, init) {
+        return fetch(this._baseUrl + key, init);
+    }
+}
+
+exports.HttpSource = HttpSource;
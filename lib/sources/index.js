@@ -0,0 +1,19 @@
+// A source serves upstream files to the router by key, relative to its own root
+// (for example 'manifest.json' or 'test/index.html').
+//
+//     async get(key, { headers }) => response
+//
+// The response mirrors the subset of the fetch API the router relies on: `ok`,
+// `status`, `statusText`, `headers.get(name)`, `text()`, `json()` and `buffer()`.
+// Sources should honor `If-None-Match`/`If-Modified-Since` and answer with a 304
+// when the file has not changed.
+
+const { HttpSource } = require('./http');
+const { DirectorySource } = require('./directory');
+const { S3Source } = require('./s3');
+const { SourceResponse } = require('./response');
+
+exports.HttpSource = HttpSource;
+exports.DirectorySource = DirectorySource;
+exports.S3Source = S3Source;
+exports.SourceResponse = SourceResponse;
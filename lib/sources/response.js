@@ -0,0 +1,40 @@
+const { STATUS_CODES } = require('http');
+
+class SourceHeaders {
+    constructor(headers) {
+        this._headers = {};
+
+        Object.keys(headers || {}).forEach(name => {
+            this._headers[name.toLowerCase()] = headers[name];
+        });
+    }
+
+    get(name) {
+        const value = this._headers[name.toLowerCase()];
+        return value === undefined ? null : value;
+    }
+}
+
+class SourceResponse {
+    constructor(status, body, headers) {
+        this.ok = status >= 200 && status < 300;
+        this.status = status;
+        this.statusText = STATUS_CODES[status];
+        this.headers = new SourceHeaders(headers);
+        this._body = body;
+    }
+
+    async buffer() {
+        return Buffer.from(this._body || '');
+    }
+
+    async text() {
+        return (await this.buffer()).toString('utf8');
+    }
+
+    async json() {
+        return JSON.parse(await this.text());
+    }
+}
+
+exports.SourceResponse = SourceResponse;
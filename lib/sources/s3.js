@@ -0,0 +1,105 @@
+const crypto = require('crypto');
+const fetch = require('node-fetch');
+const log = require('debug')('index-router');
+
+const hash = data => crypto.createHash('sha256').update(data).digest('hex');
+const hmac = (key, data) => crypto.createHmac('sha256', key).update(data).digest();
+
+const encodePath = path => path.split('/').map(segment => {
+    return encodeURIComponent(segment).replace(/[!'()*]/g, c => '%' + c.charCodeAt(0).toString(16).toUpperCase());
+}).join('/');
+
+const sign = (request, credentials, region, date) => {
+    const amzDate = date.toISOString().replace(/[:-]|\.\d{3}/g, '');
+    const dateStamp = amzDate.substring(0, 8);
+    const scope = `${dateStamp}/${region}/s3/aws4_request`;
+
+    const url = new URL(request.url);
+    const headers = Object.assign({}, request.headers, {
+        'host': url.host,
+        'x-amz-date': amzDate,
+        'x-amz-content-sha256': hash('')
+    });
+
+    if (credentials.sessionToken) {
+        headers['x-amz-security-token'] = credentials.sessionToken;
+    }
+
+    const names = Object.keys(headers).map(name => name.toLowerCase()).sort();
+    const values = {};
+    Object.keys(headers).forEach(name => {
+        values[name.toLowerCase()] = String(headers[name]).trim().replace(/\s+/g, ' ');
+    });
+
+    const signedHeaders = names.join(';');
+    const canonicalRequest = [
+        request.method,
+        url.pathname,
+        url.search.substring(1),
+        names.map(name => name + ':' + values[name] + '\n').join(''),
+        signedHeaders,
+        headers['x-amz-content-sha256']
+    ].join('\n');
+
+    const stringToSign = [
+        'AWS4-HMAC-SHA256',
+        amzDate,
+        scope,
+        hash(canonicalRequest)
+    ].join('\n');
+
+    const signingKey = [ dateStamp, region, 's3', 'aws4_request' ].reduce(hmac, 'AWS4' + credentials.secretAccessKey);
+    const signature = crypto.createHmac('sha256', signingKey).update(stringToSign).digest('hex');
+
+    headers['Authorization'] = `AWS4-HMAC-SHA256 Credential=${credentials.accessKeyId}/${scope}, SignedHeaders=${signedHeaders}, Signature=${signature}`;
+    delete headers['host'];
+
+    return headers;
+};
+
+class S3Source {
+    constructor(options) {
+        this._options = Object.assign({
+            bucket: undefined,
+            prefix: '',
+            region: process.env['AWS_REGION'] || 'us-east-1',
+            endpoint: undefined,
+            credentials: undefined
+        }, options);
+    }
+
+    _credentials() {
+        return this._options.credentials || {
+            accessKeyId: process.env['AWS_ACCESS_KEY_ID'],
+            secretAccessKey: process.env['AWS_SECRET_ACCESS_KEY'],
+            sessionToken: process.env['AWS_SESSION_TOKEN']
+        };
+    }
+
+    _objectUrl(key) {
+        const { bucket, prefix, region, endpoint } = this._options;
+        const path = encodePath(prefix + key);
+
+        if (endpoint) {
+            return endpoint.replace(/\/$/, '') + '/' + bucket + '/' + path;
+        }
+
+        return `https://${bucket}.s3.${region}.amazonaws.com/${path}`;
+    }
+
+    async get(key, init) {
+        const url = this._objectUrl(key);
+        log(`Fetching S3 object ${url}`);
+
+        const headers = sign({
+            method: 'GET',
+            url,
+            headers: (init && init.headers) || {}
+        }, this._credentials(), this._options.region, new Date());
+
+        return fetch(url, Object.assign({}, init, { headers }));
+    }
+}
+
+exports.S3Source = S3Source;
+exports.sign = sign;
@@ -0,0 +1,78 @@
+// Request logs and metrics. The router reports through a logger with a
+// `log(entry)` method and a metrics sink with `emit(dimensions, metrics)`,
+// where metrics is a list of `{ name, value, unit }`. Both default to doing
+// nothing; the Lambda handler plugs in the JSON writers below.
+
+const writeLine = line => process.stdout.write(line + '\n');
+
+const nullLogger = {
+    log() {}
+};
+
+const nullMetrics = {
+    emit() {}
+};
+
+// One JSON object per line. Written to stdout directly, as console.log on
+// Lambda prefixes every line with its own timestamp and level.
+class JsonLogger {
+    constructor(write) {
+        this._write = write || writeLine;
+    }
+
+    log(entry) {
+        this._write(JSON.stringify(Object.assign({ time: new Date().toISOString() }, entry)));
+    }
+}
+
+// CloudWatch Embedded Metric Format: each line is a log event that CloudWatch
+// also extracts as metrics, with the dimensions and values stored as members.
+class EmfMetrics {
+    constructor(namespace, write) {
+        this._namespace = namespace;
+        this._write = write || writeLine;
+    }
+
+    emit(dimensions, metrics) {
+        const values = {};
+        metrics.forEach(({ name, value }) => {
+            values[name] = value;
+        });
+
+        this._write(JSON.stringify(Object.assign({
+            _aws: {
+                Timestamp: Date.now(),
+                CloudWatchMetrics: [ {
+                    Namespace: this._namespace,
+                    Dimensions: [ Object.keys(dimensions) ],
+                    Metrics: metrics.map(({ name, unit }) => ({ Name: name, Unit: unit }))
+                } ]
+            }
+        }, dimensions, values)));
+    }
+}
+
+const outcomes = {
+    200: 'served',
+    304: 'not_modified',
+    301: 'redirect',
+    302: 'redirect',
+    307: 'redirect',
+    308: 'redirect',
+    404: 'not_found'
+};
+
+// Failed requests are reported by their error code, the rest by their status.
+const requestOutcome = (status, code) => {
+    if (status >= 500) {
+        return code || 'internal_error';
+    }
+
+    return outcomes[status] || (status >= 400 ? 'client_error' : 'served');
+};
+
+exports.nullLogger = nullLogger;
+exports.nullMetrics = nullMetrics;
+exports.JsonLogger = JsonLogger;
+exports.EmfMetrics = EmfMetrics;
+exports.requestOutcome = requestOutcome;
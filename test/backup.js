@@ -0,0 +1,62 @@
+const assert = require('assert').strict;
+const fs = require('fs');
+const path = require('path');
+
+const { FileBackup } = require('../lib/backup');
+const { createTempDir, removeTempDirs } = require('./helpers/temp');
+
+describe('FileBackup', function () {
+    const directory = () => path.join(createTempDir(), 'backup');
+
+    afterEach(removeTempDirs);
+
+    it('should store and restore documents', async function () {
+        const backup = new FileBackup(directory());
+
+        await backup.write('https://localhost/manifest.json', { hash: 'TESTHASH' });
+        await backup.write('https://localhost/test/index.html', '<html></html>');
+
+        assert.deepEqual(await backup.read('https://localhost/manifest.json'), { hash: 'TESTHASH' });
+        assert.equal(await backup.read('https://localhost/test/index.html'), '<html></html>');
+    });
+
+    it('should be shared between instances on the same directory', async function () {
+        const root = directory();
+
+        await new FileBackup(root).write('config', { a: 1 });
+        await new FileBackup(root).write('config', { a: 2 });
+
+        assert.deepEqual(await new FileBackup(root).read('config'), { a: 2 });
+        assert.equal(fs.readdirSync(root).length, 1);
+    });
+
+    it('should wait for pending writes when flushed', async function () {
+        const backup = new FileBackup(directory());
+
+        backup.write('a', 1);
+        backup.write('b', 2);
+        await backup.flush();
+
+        assert.equal(await backup.read('a'), 1);
+        assert.equal(await backup.read('b'), 2);
+    });
+
+    it('should return nothing for unknown keys and unreadable files', async function () {
+        const root = directory();
+        const backup = new FileBackup(root);
+
+        assert.equal(await backup.read('missing'), undefined);
+
+        await backup.write('broken', 'x');
+        fs.readdirSync(root).forEach(file => fs.writeFileSync(path.join(root, file), '{'));
+        assert.equal(await backup.read('broken'), undefined);
+    });
+
+    it('should ignore write failures', async function () {
+        const root = directory();
+        fs.writeFileSync(root, 'not a directory');
+
+        await new FileBackup(root).write('key', 'value');
+        assert.equal(await new FileBackup(root).read('key'), undefined);
+    });
+});
@@ -0,0 +1,21 @@
+const assert = require('assert').strict;
+
+const { encodings, compress, decompress } = require('../lib/compress');
+
+describe('Compress', function () {
+    it('should restore compressed bodies', async function () {
+        const body = '<html>'.repeat(500);
+
+        for (let encoding of encodings) {
+            const compressed = await compress(encoding, body);
+
+            assert(compressed.length < body.length);
+            assert.equal((await decompress(encoding, compressed)).toString('utf8'), body);
+        }
+    });
+
+    it('should reject unsupported encodings', async function () {
+        await assert.rejects(() => compress('deflate', 'body'), /Unsupported encoding 'deflate'/);
+        await assert.rejects(() => decompress('deflate', 'body'), /Unsupported encoding 'deflate'/);
+    });
+});
@@ -0,0 +1,40 @@
+const assert = require('assert').strict;
+
+const { createNonce, buildPolicy } = require('../lib/csp');
+
+describe('CSP', function () {
+    const values = {
+        nonce: 'abc123',
+        assetsUrl: 'https://cdn.example.com/assets/',
+        apiUrl: 'https://api.example.com/v1/'
+    };
+
+    it('should create unique nonces', function () {
+        const nonces = new Set([ createNonce(), createNonce(), createNonce() ]);
+
+        assert.equal(nonces.size, 3);
+        assert(/^[A-Za-z0-9+/]{22}==$/.test(createNonce()));
+    });
+
+    it('should fill placeholders in a policy string', function () {
+        const policy = buildPolicy("default-src 'self'; script-src 'self' {assets} {nonce}; connect-src {api}", values);
+
+        assert.equal(policy, "default-src 'self'; script-src 'self' https://cdn.example.com 'nonce-abc123'; connect-src https://api.example.com");
+    });
+
+    it('should build a policy from directives', function () {
+        const policy = buildPolicy({
+            'default-src': "'self'",
+            'style-src': [ "'self'", '{assets}', '{nonce}' ],
+            'upgrade-insecure-requests': []
+        }, values);
+
+        assert.equal(policy, "default-src 'self'; style-src 'self' https://cdn.example.com 'nonce-abc123'; upgrade-insecure-requests");
+    });
+
+    it('should drop origins that cannot be determined', function () {
+        const policy = buildPolicy("connect-src 'self' {api}", Object.assign({}, values, { apiUrl: '/api/' }));
+
+        assert.equal(policy, "connect-src 'self' ");
+    });
+});
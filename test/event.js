@@ -0,0 +1,159 @@
+const assert = require('assert').strict;
+
+const { normalizeEvent, formatResponse } = require('../lib/event');
+
+describe('Event', function () {
+    const _restEvent = {
+        resource: '/{proxy+}',
+        path: '/test/',
+        httpMethod: 'GET',
+        headers: { 'Accept': 'text/html', 'If-None-Match': '"abc"' },
+        multiValueHeaders: { 'Accept': [ 'text/html' ], 'If-None-Match': [ '"abc"' ] },
+        queryStringParameters: { token: 'a b' },
+        multiValueQueryStringParameters: { token: [ 'a b' ] },
+        requestContext: { stage: 'prod', requestId: 'c6af9ac6-7b61-11e6-9a41-93e8deadbeef' },
+        stageVariables: { ASSETS_URL: 'https://localhost/asset-url/' }
+    };
+
+    const _httpEvent = {
+        version: '2.0',
+        routeKey: '$default',
+        rawPath: '/test/sub-path',
+        rawQueryString: 'utm_source=mail&x=1',
+        cookies: [ 'a=1', 'b=2' ],
+        headers: { 'accept': 'text/html' },
+        requestContext: {
+            domainName: 'abc123.execute-api.eu-west-1.amazonaws.com',
+            http: { method: 'GET', path: '/test/sub-path' },
+            stage: '$default',
+            requestId: 'JKJaXmPLvHcESHA='
+        },
+        stageVariables: { ASSETS_URL: 'https://localhost/asset-url/' }
+    };
+
+    const _urlEvent = {
+        version: '2.0',
+        rawPath: '/',
+        rawQueryString: '',
+        headers: { 'accept': '*/*' },
+        requestContext: {
+            domainName: 'abc123.lambda-url.eu-west-1.on.aws',
+            http: { method: 'HEAD', path: '/' },
+            stage: '$default'
+        }
+    };
+
+    const _albEvent = {
+        requestContext: { elb: { targetGroupArn: 'arn:aws:elasticloadbalancing:eu-west-1:123:targetgroup/tg/1' } },
+        httpMethod: 'GET',
+        path: '/test/',
+        multiValueQueryStringParameters: { token: [ 'a%20b' ] },
+        multiValueHeaders: { 'accept': [ 'text/html' ], 'cookie': [ 'a=1', 'b=2' ], 'x-amzn-trace-id': [ 'Root=1-5bdb40ca-556d8b0c50dc66f0511bf520' ] },
+        body: '',
+        isBase64Encoded: false
+    };
+
+    it('should normalize REST API events', function () {
+        const request = normalizeEvent(_restEvent);
+
+        assert.equal(request.format, 'rest');
+        assert.equal(request.path, '/test/');
+        assert.equal(request.query, 'token=a%20b');
+        assert.equal(request.method, 'GET');
+        assert.equal(request.stage, 'prod');
+        assert.equal(request.headers['if-none-match'], '"abc"');
+        assert.deepEqual(request.variables, _restEvent.stageVariables);
+        assert.equal(request.requestId, 'c6af9ac6-7b61-11e6-9a41-93e8deadbeef');
+    });
+
+    it('should normalize HTTP API events', function () {
+        const request = normalizeEvent(_httpEvent);
+
+        assert.equal(request.format, 'http');
+        assert.equal(request.path, '/test/sub-path');
+        assert.equal(request.query, 'utm_source=mail&x=1');
+        assert.equal(request.headers['cookie'], 'a=1; b=2');
+        assert.equal(request.stage, '$default');
+        assert.deepEqual(request.variables, _httpEvent.stageVariables);
+        assert.equal(request.requestId, 'JKJaXmPLvHcESHA=');
+    });
+
+    it('should strip a named stage from HTTP API paths', function () {
+        const event = stage => Object.assign({}, _httpEvent, {
+            rawPath: '/prod/test/sub-path',
+            requestContext: Object.assign({}, _httpEvent.requestContext, { stage })
+        });
+
+        assert.equal(normalizeEvent(event('prod')).path, '/test/sub-path');
+        assert.equal(normalizeEvent(event('prod')).stage, 'prod');
+        assert.equal(normalizeEvent(event('$default')).path, '/prod/test/sub-path');
+        assert.equal(normalizeEvent(event('pro')).path, '/prod/test/sub-path');
+        assert.equal(normalizeEvent(Object.assign(event('prod'), { rawPath: '/prod' })).path, '/');
+    });
+
+    it('should normalize function URL events', function () {
+        const request = normalizeEvent(_urlEvent);
+
+        assert.equal(request.format, 'url');
+        assert.equal(request.path, '/');
+        assert.equal(request.method, 'HEAD');
+        assert.equal(request.stage, undefined);
+        assert.equal(request.variables, undefined);
+    });
+
+    it('should normalize ALB events', function () {
+        const request = normalizeEvent(_albEvent);
+
+        assert.equal(request.format, 'alb');
+        assert.equal(request.path, '/test/');
+        assert.equal(request.query, 'token=a%20b');
+        assert.equal(request.headers['cookie'], 'a=1; b=2');
+        assert.equal(request.multiValue, true);
+        assert.equal(request.requestId, 'Root=1-5bdb40ca-556d8b0c50dc66f0511bf520');
+    });
+
+    it('should pass responses through for API Gateway', function () {
+        const response = { statusCode: 200, headers: { 'Content-Type': 'text/html' }, body: '<html></html>' };
+        const result = formatResponse(normalizeEvent(_httpEvent), response);
+
+        assert.deepEqual(result, Object.assign({ isBase64Encoded: false }, response));
+    });
+
+    it('should keep base64 encoded bodies flagged', function () {
+        const response = { statusCode: 200, headers: { 'Content-Encoding': 'gzip' }, body: 'H4sI', isBase64Encoded: true };
+        const result = formatResponse(normalizeEvent(_httpEvent), response);
+
+        assert.equal(result.isBase64Encoded, true);
+        assert.equal(result.body, 'H4sI');
+    });
+
+    it('should drop the body for HEAD requests', function () {
+        const result = formatResponse(normalizeEvent(_urlEvent), { statusCode: 200, headers: {}, body: 'content' });
+
+        assert.equal(result.body, undefined);
+    });
+
+    it('should add a status description and multi-value headers for ALB', function () {
+        const result = formatResponse(normalizeEvent(_albEvent), {
+            statusCode: 301,
+            headers: { 'Location': '/test/' }
+        });
+
+        assert.equal(result.statusDescription, '301 Moved Permanently');
+        assert.deepEqual(result.multiValueHeaders, { 'Location': [ '/test/' ] });
+        assert.equal(result.headers, undefined);
+        assert.equal(result.body, '');
+        assert.equal(result.isBase64Encoded, false);
+    });
+
+    it('should keep single-value headers for ALB without multi-value headers enabled', function () {
+        const event = Object.assign({}, _albEvent, {
+            multiValueHeaders: undefined,
+            headers: { 'accept': 'text/html' }
+        });
+        const result = formatResponse(normalizeEvent(event), { statusCode: 404, headers: { 'Cache-Control': 'max-age=60' }, body: '{}' });
+
+        assert.equal(result.statusDescription, '404 Not Found');
+        assert.deepEqual(result.headers, { 'Cache-Control': 'max-age=60' });
+    });
+});
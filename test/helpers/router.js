@@ -0,0 +1,144 @@
+const { Router } = require('../../lib/router');
+const { SourceResponse } = require('../../lib/sources/response');
+
+const assetsUrl = "https://localhost/asset-url/";
+const apiUrl = "https://localhost/api-url/";
+
+const manifest = {
+    hash: 'TESTHASH',
+    apps: [ 'test' ],
+    default: 'test',
+    config: {
+        timestamp: 1234,
+        clientVersion: "1.0",
+    }
+};
+
+const config = {
+    "cdn_prefix": "https://localhost/",
+    "idle_timeout": 1800000
+};
+
+const index = "" +
+    "<html>" +
+    "   <head>" +
+    "       <link href=\"test/style.css\" rel=\"stylesheet\">" +
+    "   </head>" +
+    "   <body>" +
+    "       <script src=\"/home/config.js\"></script>" +
+    "       <script type=\"text/javascript\" src=\"//external-site/script.js\"></script>" +
+    "       <script type=\"text/javascript\" src=\"test/app.js\"></script>" +
+    "   </body>" +
+    "</html>";
+
+// Lets background refreshes started by the previous request finish.
+const settle = () => new Promise(resolve => setImmediate(resolve));
+
+// A document that is served as each of the given documents in turn, and as
+// the last one from then on.
+const sequence = (...documents) => () => documents.length > 1 ? documents.shift() : documents[0];
+
+// Serves the documents above, keyed by their path under the assets or API
+// URL. Tests replace entries in `assets` and `api` to change what is served:
+// an Error is thrown, and a function is called with the request to produce
+// the document. Setting `down` fails every fetch. Every fetched URL is
+// recorded in `fetches`.
+//
+// Documents are returned from _doFetch as they are. With `http` set, they are
+// served as responses from _rawFetch instead, so that the router parses them
+// and handles statuses and validators itself. Requests are then recorded in
+// `requests`.
+//
+// Setting `time` stops the clock, `latency` advances it on every fetch, and
+// `point` fixes the random point used for build assignment and jitter.
+class TestRouter extends Router {
+    constructor(assets, api, options) {
+        super(assets || assetsUrl, api || apiUrl, Object.assign({ retryDelay: 0 }, options));
+
+        this.assets = {
+            'manifest.json': manifest,
+            'test/index.html': index
+        };
+        this.api = {
+            'config.json': config
+        };
+
+        this.http = false;
+        this.down = false;
+        this.fetches = [];
+        this.requests = [];
+        this.time = undefined;
+        this.latency = 0;
+        this.point = undefined;
+    }
+
+    _now() {
+        return this.time === undefined ? super._now() : this.time;
+    }
+
+    _random() {
+        return this.point === undefined ? super._random() : this.point;
+    }
+
+    _document(url) {
+        if (url.startsWith(this._assetsUrl) && url.slice(this._assetsUrl.length) in this.assets) {
+            return this.assets[url.slice(this._assetsUrl.length)];
+        }
+        if (url.startsWith(this._apiUrl) && url.slice(this._apiUrl.length) in this.api) {
+            return this.api[url.slice(this._apiUrl.length)];
+        }
+        return undefined;
+    }
+
+    async _resolve(document, request) {
+        if (document instanceof Error) {
+            throw document;
+        }
+        if (typeof document === 'function') {
+            return this._resolve(await document(request), request);
+        }
+        return document;
+    }
+
+    async _doFetch(url, options) {
+        this.fetches.push(url);
+        if (this.time !== undefined) {
+            this.time += this.latency;
+        }
+        if (this.down) {
+            throw new Error("Connection refused");
+        }
+
+        if (this.http) {
+            return super._doFetch(url, options);
+        }
+
+        const document = await this._resolve(this._document(url), { url, options });
+        if (document === undefined) {
+            throw new Error(`URL not matched: ${url}`);
+        }
+        return options.buffer ? Buffer.from(document) : document;
+    }
+
+    async _rawFetch(url, init) {
+        this.requests.push({ url, headers: init.headers, signal: init.signal, time: this._now() });
+
+        const document = await this._resolve(this._document(url), { url, init });
+        if (document === undefined) {
+            return new SourceResponse(404);
+        }
+        if (document instanceof SourceResponse) {
+            return document;
+        }
+        return new SourceResponse(200, typeof document === 'string' ? document : JSON.stringify(document));
+    }
+}
+
+exports.assetsUrl = assetsUrl;
+exports.apiUrl = apiUrl;
+exports.manifest = manifest;
+exports.config = config;
+exports.index = index;
+exports.settle = settle;
+exports.sequence = sequence;
+exports.TestRouter = TestRouter;
@@ -0,0 +1,40 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const created = [];
+
+const remove = target => {
+    let stats;
+    try {
+        stats = fs.lstatSync(target);
+    } catch (err) {
+        if (err.code === 'ENOENT') {
+            return;
+        }
+        throw err;
+    }
+
+    if (!stats.isDirectory()) {
+        fs.unlinkSync(target);
+        return;
+    }
+
+    fs.readdirSync(target).forEach(name => remove(path.join(target, name)));
+    fs.rmdirSync(target);
+};
+
+// Directories are created under the system temp directory and removed again
+// by removeTempDirs, which test files call from an afterEach hook.
+const createTempDir = () => {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'index-router-'));
+    created.push(directory);
+    return directory;
+};
+
+const removeTempDirs = () => {
+    created.splice(0).forEach(remove);
+};
+
+exports.createTempDir = createTempDir;
+exports.removeTempDirs = removeTempDirs;
@@ -0,0 +1,154 @@
+const assert = require('assert').strict;
+
+const { HtmlRewriter } = require('../lib/html');
+
+describe('HtmlRewriter', function () {
+    const _html = "" +
+        "<!DOCTYPE html>\n" +
+        "<HTML lang=en>\n" +
+        "<head><!-- <link href=\"a.css\"> --><title>a < b</title>" +
+        "<style media=\"all\">a { background: url(x.png) }</style></head>\n" +
+        "<body class='main' hidden data-x=\"1 &amp; 2\">\n" +
+        "<IMG SRC=logo.png ALT=\"a > b\"/><br/>" +
+        "<script src=\"app.js\" defer></script>" +
+        "<script>if (a < b) { x = '</div>'; }</script>\n" +
+        "<p>1 < 2 </ 3 <3</p>\n" +
+        "</body>\n" +
+        "</HTML>\n";
+
+    const chunked = async (html, size, setup) => {
+        const chunks = [];
+        const rewriter = new HtmlRewriter(chunk => chunks.push(chunk));
+        setup(rewriter);
+
+        for (let i = 0; i < html.length; i += size) {
+            await rewriter.write(html.substring(i, i + size));
+        }
+        await rewriter.end();
+
+        return chunks.join('');
+    };
+
+    it('should pass documents through unchanged without handlers', async function () {
+        assert.equal(await new HtmlRewriter().transform(_html), _html);
+    });
+
+    it('should pass documents through unchanged when handlers do not modify', async function () {
+        const tags = [];
+        const rewriter = new HtmlRewriter().on('*', element => tags.push(element.tagName));
+
+        assert.equal(await rewriter.transform(_html), _html);
+        assert.deepEqual(tags, [ 'html', 'head', 'title', 'style', 'body', 'img', 'br', 'script', 'script', 'p' ]);
+    });
+
+    it('should produce the same output for any chunk size', async function () {
+        const setup = rewriter => rewriter
+            .on('img', element => element.setAttribute('src', 'https://cdn/' + element.getAttribute('src')))
+            .on('script', element => element.hasAttribute('src') || element.setInnerContent('run();'));
+
+        const expected = await chunked(_html, _html.length, setup);
+        for (let size of [ 1, 2, 3, 7, 16 ]) {
+            assert.equal(await chunked(_html, size, setup), expected, `chunk size ${size}`);
+        }
+    });
+
+    it('should decode attribute values and encode modified ones', async function () {
+        let value;
+        const rewriter = new HtmlRewriter().on('body', element => {
+            value = element.getAttribute('data-x');
+            element.setAttribute('data-x', value + ' & "3"');
+        });
+
+        const html = await rewriter.transform(_html);
+
+        assert.equal(value, '1 & 2');
+        assert(html.includes("<body class='main' hidden data-x=\"1 &amp; 2 &amp; &quot;3&quot;\">"));
+    });
+
+    it('should replace invalid character references', async function () {
+        const values = [];
+        const rewriter = new HtmlRewriter().on('img', element => values.push(element.getAttribute('alt')));
+
+        await rewriter.transform('<img alt="&#x110000;"><img alt="&#0;&#xD800;"><img alt="&#128512;&#x41;">');
+
+        assert.deepEqual(values, [ '\ufffd', '\ufffd\ufffd', '\u{1f600}A' ]);
+    });
+
+    it('should decode all named character references', async function () {
+        const rewriter = new HtmlRewriter().on('img', element => element.setAttribute('src', element.getAttribute('src')));
+
+        const html = await rewriter.transform('<img src="a.png?x=1&copy;y&amp;z"><img src="b.png?a=1&copy=2&notit;">');
+
+        assert.equal(html, '<img src="a.png?x=1\u00a9y&amp;z"><img src="b.png?a=1&amp;copy=2&amp;notit;">');
+    });
+
+    it('should read unquoted, valueless and upper case attributes', async function () {
+        const values = {};
+        const rewriter = new HtmlRewriter()
+            .on('img', element => {
+                values.src = element.getAttribute('src');
+                values.alt = element.getAttribute('ALT');
+            })
+            .on('body', element => {
+                values.hidden = element.hasAttribute('hidden') && element.getAttribute('hidden');
+                values.missing = element.getAttribute('missing');
+            });
+
+        await rewriter.transform(_html);
+
+        assert.deepEqual(values, { src: 'logo.png', alt: 'a > b', hidden: '', missing: null });
+    });
+
+    it('should keep self-closing syntax and other attributes when modifying a tag', async function () {
+        const rewriter = new HtmlRewriter().on('img', element => element.removeAttribute('alt'));
+
+        assert((await rewriter.transform(_html)).includes('<IMG SRC=logo.png/><br/>'));
+    });
+
+    it('should expose and replace raw text content', async function () {
+        const contents = [];
+        const rewriter = new HtmlRewriter()
+            .on('script', element => contents.push(element.textContent))
+            .on('style', element => element.setInnerContent(element.textContent.replace('x.png', 'y.png')));
+
+        const html = await rewriter.transform(_html);
+
+        assert.deepEqual(contents, [ '', "if (a < b) { x = '</div>'; }" ]);
+        assert(html.includes('<style media="all">a { background: url(y.png) }</style>'));
+    });
+
+    it('should refuse to replace the content of normal elements', async function () {
+        const rewriter = new HtmlRewriter().on('p', element => element.setInnerContent('x'));
+
+        await assert.rejects(rewriter.transform(_html), /Cannot set content of <p>/);
+    });
+
+    it('should insert markup before and inside elements', async function () {
+        const rewriter = new HtmlRewriter()
+            .on('head', element => element.prepend('<base href="/">'))
+            .on('p', element => element.before('<hr>'));
+
+        const html = await rewriter.transform(_html);
+
+        assert(html.includes('<head><base href="/"><!-- <link'));
+        assert(html.includes('<hr><p>1 < 2'));
+    });
+
+    it('should remove elements', async function () {
+        const rewriter = new HtmlRewriter()
+            .on('br', element => element.remove())
+            .on('script', element => element.hasAttribute('src') || element.remove());
+
+        const html = await rewriter.transform(_html);
+
+        assert(html.includes('<IMG SRC=logo.png ALT="a > b"/><script src="app.js" defer></script>\n<p>'));
+    });
+
+    it('should flush incomplete markup at the end', async function () {
+        const rewriter = new HtmlRewriter().on('script', element => element.setInnerContent('x'));
+
+        assert.equal(await rewriter.transform('<p>text<script>unterminated'), '<p>text<script>x');
+        assert.equal(await new HtmlRewriter().transform('<p class="open'), '<p class="open');
+        assert.equal(await new HtmlRewriter().transform('text <'), 'text <');
+    });
+});
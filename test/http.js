@@ -0,0 +1,76 @@
+const assert = require('assert').strict;
+
+const { getHeader, getCookie, matchesETag, negotiateEncoding, negotiateType } = require('../lib/http');
+
+describe('HTTP', function () {
+    it('should look up headers case-insensitively', function () {
+        assert.equal(getHeader({ 'if-none-match': '"a"' }, 'If-None-Match'), '"a"');
+        assert.equal(getHeader({}, 'If-None-Match'), undefined);
+        assert.equal(getHeader(undefined, 'If-None-Match'), undefined);
+    });
+
+    it('should read cookies', function () {
+        const headers = { cookie: 'a=1; build_test=next;other=x=y' };
+
+        assert.equal(getCookie(headers, 'build_test'), 'next');
+        assert.equal(getCookie(headers, 'other'), 'x=y');
+        assert.equal(getCookie(headers, 'build'), undefined);
+        assert.equal(getCookie({}, 'a'), undefined);
+    });
+
+    it('should match entity tags weakly', function () {
+        assert(matchesETag('W/"a", "b"', '"a"'));
+        assert(matchesETag('*', '"a"'));
+        assert(!matchesETag('"b"', '"a"'));
+        assert(!matchesETag(undefined, '"a"'));
+    });
+
+    describe('negotiateEncoding', function () {
+        const available = [ 'br', 'gzip' ];
+
+        it('should prefer the first available encoding at equal quality', function () {
+            assert.equal(negotiateEncoding('gzip, deflate, br', available), 'br');
+            assert.equal(negotiateEncoding('gzip', available), 'gzip');
+        });
+
+        it('should honour quality values', function () {
+            assert.equal(negotiateEncoding('br;q=0.5, gzip;q=0.8', available), 'gzip');
+            assert.equal(negotiateEncoding('br;q=0, gzip', available), 'gzip');
+            assert.equal(negotiateEncoding('br;q=0, gzip;q=0', available), undefined);
+        });
+
+        it('should apply wildcards to encodings not listed', function () {
+            assert.equal(negotiateEncoding('*', available), 'br');
+            assert.equal(negotiateEncoding('br;q=0, *;q=0.1', available), 'gzip');
+        });
+
+        it('should fall back to identity', function () {
+            assert.equal(negotiateEncoding(undefined, available), undefined);
+            assert.equal(negotiateEncoding('', available), undefined);
+            assert.equal(negotiateEncoding('identity, deflate', available), undefined);
+        });
+    });
+
+    describe('negotiateType', function () {
+        const available = [ 'application/json', 'text/html' ];
+
+        it('should pick HTML for browsers', function () {
+            assert.equal(negotiateType('text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8', available), 'text/html');
+            assert.equal(negotiateType('text/*', available), 'text/html');
+        });
+
+        it('should prefer the first type for wildcards and missing headers', function () {
+            assert.equal(negotiateType('*/*', available), 'application/json');
+            assert.equal(negotiateType(undefined, available), 'application/json');
+        });
+
+        it('should let specific ranges override wildcards', function () {
+            assert.equal(negotiateType('application/json;q=0, */*', available), 'text/html');
+            assert.equal(negotiateType('text/html;q=0.5, application/json', available), 'application/json');
+        });
+
+        it('should return nothing when no type is acceptable', function () {
+            assert.equal(negotiateType('image/png', available), undefined);
+        });
+    });
+});
@@ -0,0 +1,23 @@
+const assert = require('assert').strict;
+
+const { handler } = require('../index');
+const { defaultHeaders } = require('../lib/security');
+
+describe('Handler', function () {
+    it('should add security headers when the settings are invalid', async function () {
+        const event = {
+            path: '/test/',
+            httpMethod: 'GET',
+            headers: {},
+            requestContext: { stage: 'prod' },
+            stageVariables: { ASSETS_URL: 'https://localhost/asset-url/', API_URL: 'not-a-url' }
+        };
+
+        const res = await handler(event, {});
+
+        assert.equal(res.statusCode, 500);
+        assert.equal(res.headers['Cache-Control'], 'no-store');
+        assert.equal(JSON.parse(res.body).error, "Setting 'API_URL' must be a URL");
+        Object.keys(defaultHeaders).forEach(name => assert.equal(res.headers[name], defaultHeaders[name]));
+    });
+});
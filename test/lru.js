@@ -0,0 +1,53 @@
+const assert = require('assert').strict;
+
+const { LruCache } = require('../lib/lru');
+
+describe('LruCache', function () {
+    it('should store and return values', function () {
+        const cache = new LruCache(2);
+        cache.set('a', 1);
+
+        assert.equal(cache.get('a'), 1);
+        assert.equal(cache.get('b'), undefined);
+        assert(cache.has('a'));
+        assert.equal(cache.size, 1);
+    });
+
+    it('should evict the least recently used entry', function () {
+        const cache = new LruCache(2);
+        cache.set('a', 1).set('b', 2);
+        cache.get('a');
+        cache.set('c', 3);
+
+        assert(cache.has('a'));
+        assert(!cache.has('b'));
+        assert(cache.has('c'));
+        assert.equal(cache.size, 2);
+    });
+
+    it('should refresh the position of replaced entries', function () {
+        const cache = new LruCache(2);
+        cache.set('a', 1).set('b', 2).set('a', 3).set('c', 4);
+
+        assert.equal(cache.get('a'), 3);
+        assert(!cache.has('b'));
+    });
+
+    it('should not store anything with a zero limit', function () {
+        const cache = new LruCache(0);
+        cache.set('a', 1);
+
+        assert.equal(cache.size, 0);
+    });
+
+    it('should delete and clear entries', function () {
+        const cache = new LruCache(3);
+        cache.set('a', 1).set('b', 2);
+
+        assert(cache.delete('a'));
+        assert(!cache.has('a'));
+
+        cache.clear();
+        assert.equal(cache.size, 0);
+    });
+});
@@ -0,0 +1,31 @@
+const assert = require('assert').strict;
+
+const { appBuilds, pickBuild } = require('../lib/manifest');
+
+describe('Manifest', function () {
+    describe('builds', function () {
+        const builds = [ { name: 'stable', weight: 90 }, { name: 'off', weight: 0 }, { name: 'next', weight: 10 } ];
+
+        it('should default the index of each build to the app index', function () {
+            const manifest = {
+                apps: { test: { builds: [ { name: 'stable', weight: 1 }, { name: 'next', weight: 1, index: 'next/index.html' } ] } }
+            };
+
+            assert.deepEqual(appBuilds(manifest, 'test').map(build => build.index), [ 'test/index.html', 'next/index.html' ]);
+            assert.deepEqual(appBuilds({ apps: [ 'test' ] }, 'test'), []);
+        });
+
+        it('should pick builds by weight', function () {
+            assert.equal(pickBuild(builds, 0).name, 'stable');
+            assert.equal(pickBuild(builds, 0.899).name, 'stable');
+            assert.equal(pickBuild(builds, 0.9).name, 'next');
+            assert.equal(pickBuild(builds, 0.999999).name, 'next');
+        });
+
+        it('should never pick builds without weight', function () {
+            const picked = [ 0, 0.25, 0.5, 0.75, 0.9999 ].map(point => pickBuild([ { name: 'off', weight: 0 }, { name: 'on', weight: 3 } ], point).name);
+
+            assert.deepEqual(picked, [ 'on', 'on', 'on', 'on', 'on' ]);
+        });
+    });
+});
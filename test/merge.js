@@ -0,0 +1,31 @@
+const assert = require('assert').strict;
+
+const { mergePatch, mergeConfig } = require('../lib/merge');
+
+describe('Merge', function () {
+    it('should merge nested objects', function () {
+        assert.deepEqual(mergePatch({ a: { b: 1, c: 2 } }, { a: { c: 3, d: 4 } }), { a: { b: 1, c: 3, d: 4 } });
+    });
+
+    it('should replace arrays and scalars', function () {
+        assert.deepEqual(mergePatch({ a: [ 1, 2 ], b: 'x' }, { a: [ 3 ], b: { c: 1 } }), { a: [ 3 ], b: { c: 1 } });
+    });
+
+    it('should remove keys set to null', function () {
+        assert.deepEqual(mergePatch({ a: 1, b: { c: 2, d: 3 } }, { a: null, b: { c: null } }), { b: { d: 3 } });
+    });
+
+    it('should not modify its inputs', function () {
+        const target = { a: { b: 1 } };
+        const patch = { a: { c: 2 } };
+
+        mergePatch(target, patch);
+
+        assert.deepEqual(target, { a: { b: 1 } });
+        assert.deepEqual(patch, { a: { c: 2 } });
+    });
+
+    it('should apply layers in order and skip missing ones', function () {
+        assert.deepEqual(mergeConfig({ a: 1 }, undefined, { a: 2, b: 1 }, { b: null }), { a: 2 });
+    });
+});
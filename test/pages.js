@@ -0,0 +1,29 @@
+const assert = require('assert').strict;
+
+const { fallbackTemplate, renderErrorPage } = require('../lib/pages');
+
+describe('Pages', function () {
+    it('should fill in placeholders', function () {
+        const html = renderErrorPage("<h1>{status} {reason}</h1><p>{error}</p><!-- {requestId} {other} -->", {
+            status: 404,
+            error: 'Application not found',
+            requestId: 'abc123'
+        });
+
+        assert.equal(html, "<h1>404 Not Found</h1><p>Application not found</p><!-- abc123 {other} -->");
+    });
+
+    it('should escape values', function () {
+        const html = renderErrorPage("<p title=\"{error}\">{error}</p>", { status: 500, error: '<script>"x" & \'y\'</script>' });
+
+        assert.equal(html, "<p title=\"&lt;script&gt;&quot;x&quot; &amp; &#39;y&#39;&lt;/script&gt;\">&lt;script&gt;&quot;x&quot; &amp; &#39;y&#39;&lt;/script&gt;</p>");
+    });
+
+    it('should include the request ID in the fallback page', function () {
+        const html = renderErrorPage(fallbackTemplate, { status: 500, error: 'Upstream unavailable', requestId: 'abc123' });
+
+        assert(html.includes('<title>500 Internal Server Error</title>'));
+        assert(html.includes('Upstream unavailable'));
+        assert(html.includes('abc123'));
+    });
+});
@@ -0,0 +1,46 @@
+const assert = require('assert').strict;
+
+const { decodePath, appendQuery } = require('../lib/paths');
+
+describe('Paths', function () {
+    describe('decodePath', function () {
+        it('should decode escaped characters', function () {
+            assert.equal(decodePath('/%74est/a%20b/file.html'), '/test/a b/file.html');
+            assert.equal(decodePath('/test/'), '/test/');
+        });
+
+        it('should reject malformed escapes', function () {
+            assert.equal(decodePath('/test/%E0%A4%A'), undefined);
+            assert.equal(decodePath('/test/%zz'), undefined);
+        });
+
+        it('should reject dot segments', function () {
+            assert.equal(decodePath('/test/../admin/'), undefined);
+            assert.equal(decodePath('/test/%2e%2E/admin/'), undefined);
+            assert.equal(decodePath('/test/./'), undefined);
+        });
+
+        it('should reject escaped separators and NUL', function () {
+            assert.equal(decodePath('/test%2F..%2Fadmin/'), undefined);
+            assert.equal(decodePath('/test/..%5Cadmin'), undefined);
+            assert.equal(decodePath('/test/a%00b'), undefined);
+        });
+    });
+
+    describe('appendQuery', function () {
+        it('should append the query to the path', function () {
+            assert.equal(appendQuery('/test/', 'utm_source=mail'), '/test/?utm_source=mail');
+            assert.equal(appendQuery('/test/?a=1', 'b=2'), '/test/?a=1&b=2');
+        });
+
+        it('should append the query inside fragments', function () {
+            assert.equal(appendQuery('/test/#login', 'token=abc'), '/test/#login?token=abc');
+            assert.equal(appendQuery('/test/?a=1#login?b=2', 'token=abc'), '/test/?a=1#login?b=2&token=abc');
+        });
+
+        it('should leave locations alone without a query', function () {
+            assert.equal(appendQuery('/test/', ''), '/test/');
+            assert.equal(appendQuery('/test/', undefined), '/test/');
+        });
+    });
+});
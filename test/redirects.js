@@ -0,0 +1,83 @@
+const assert = require('assert').strict;
+
+const { matchRedirect } = require('../lib/redirects');
+
+describe('Redirects', function () {
+    it('should match exact paths', function () {
+        const rules = [ { from: '/old/', to: '/new/' } ];
+
+        assert.deepEqual(matchRedirect(rules, '/old/'), { location: '/new/', status: 301, query: true });
+        assert.equal(matchRedirect(rules, '/old/page'), undefined);
+        assert.equal(matchRedirect(rules, '/old'), undefined);
+    });
+
+    it('should append the rest of the path to prefix matches', function () {
+        const rules = [ { from: '/legacy/', to: '/app/#', match: 'prefix', status: 302 } ];
+
+        assert.deepEqual(matchRedirect(rules, '/legacy/users/1'), { location: '/app/#users/1', status: 302, query: true });
+        assert.deepEqual(matchRedirect(rules, '/legacy/'), { location: '/app/#', status: 302, query: true });
+        assert.equal(matchRedirect(rules, '/legacy'), undefined);
+    });
+
+    it('should match prefixes at a segment boundary', function () {
+        const rules = [ { from: '/legacy', to: '/new', match: 'prefix' } ];
+
+        assert.deepEqual(matchRedirect(rules, '/legacy'), { location: '/new', status: 301, query: true });
+        assert.deepEqual(matchRedirect(rules, '/legacy/page'), { location: '/new/page', status: 301, query: true });
+        assert.equal(matchRedirect(rules, '/legacyfoo'), undefined);
+    });
+
+    it('should not redirect prefix matches to another host', function () {
+        const rules = [
+            { from: '/old', to: '/', match: 'prefix' },
+            { from: '/legacy/', to: '/', match: 'prefix' },
+            { from: '/former', to: '/app', match: 'prefix' }
+        ];
+
+        assert.equal(matchRedirect(rules, '/old//evil.com').location, '/evil.com');
+        assert.equal(matchRedirect(rules, '/legacy//evil.com').location, '/evil.com');
+        assert.equal(matchRedirect(rules, '/legacy/evil.com').location, '/evil.com');
+        assert.equal(matchRedirect(rules, '/legacy/\\evil.com').location, '/evil.com');
+        assert.equal(matchRedirect(rules, '/former///evil.com').location, '/app/evil.com');
+    });
+
+    it('should substitute pattern groups', function () {
+        const rules = [
+            { from: '/u/(\\d+)', to: '/profile/#user/$1', match: 'pattern', status: 308 },
+            { from: '/(?<app>[a-z]+)/v1/(.*)', to: '/$<app>/$2', match: 'pattern' }
+        ];
+
+        assert.deepEqual(matchRedirect(rules, '/u/42'), { location: '/profile/#user/42', status: 308, query: true });
+        assert.deepEqual(matchRedirect(rules, '/admin/v1/users'), { location: '/admin/users', status: 301, query: true });
+        assert.equal(matchRedirect(rules, '/u/42/more'), undefined);
+        assert.equal(matchRedirect(rules, '/u/abc'), undefined);
+    });
+
+    it('should anchor patterns to the whole path', function () {
+        const rules = [ { from: '/a|/b', to: '/c/', match: 'pattern' } ];
+
+        assert.equal(matchRedirect(rules, '/a/x'), undefined);
+        assert.equal(matchRedirect(rules, '/x/b'), undefined);
+        assert.equal(matchRedirect(rules, '/b').location, '/c/');
+    });
+
+    it('should apply the first matching rule', function () {
+        const rules = [
+            { from: '/docs/', to: '/help/', match: 'prefix', status: 302 },
+            { from: '/docs/api', to: '/api-docs/' }
+        ];
+
+        assert.deepEqual(matchRedirect(rules, '/docs/api'), { location: '/help/api', status: 302, query: true });
+    });
+
+    it('should let rules drop the query string', function () {
+        const rules = [ { from: '/promo', to: '/shop/', query: false } ];
+
+        assert.deepEqual(matchRedirect(rules, '/promo'), { location: '/shop/', status: 301, query: false });
+    });
+
+    it('should return nothing without rules', function () {
+        assert.equal(matchRedirect(undefined, '/'), undefined);
+        assert.equal(matchRedirect([], '/'), undefined);
+    });
+});
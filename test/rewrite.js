@@ -0,0 +1,86 @@
+const assert = require('assert').strict;
+
+const { rewriteValue, matchesRule } = require('../lib/rewrite');
+
+describe('Rewrite', function () {
+    const resolve = url => 'https://cdn/' + url;
+
+    describe('url', function () {
+        it('should resolve relative URLs', function () {
+            assert.equal(rewriteValue('url', 'img/logo.png', resolve), 'https://cdn/img/logo.png');
+            assert.equal(rewriteValue('url', './img/logo.png', resolve), 'https://cdn/./img/logo.png');
+        });
+
+        it('should leave absolute, root-relative and special URLs alone', function () {
+            [
+                'https://example.com/logo.png',
+                '//example.com/logo.png',
+                '/img/logo.png',
+                '#top',
+                'data:image/png;base64,iVBORw0KGgo=',
+                'mailto:someone@example.com',
+                ''
+            ].forEach(url => assert.equal(rewriteValue('url', url, resolve), url));
+        });
+    });
+
+    describe('srcset', function () {
+        it('should resolve every candidate and keep descriptors', function () {
+            assert.equal(
+                rewriteValue('srcset', 'a.png 1x, /b.png 2x,c.png  3x', resolve),
+                'https://cdn/a.png 1x, /b.png 2x,https://cdn/c.png  3x'
+            );
+        });
+
+        it('should handle width descriptors and candidates without descriptors', function () {
+            assert.equal(
+                rewriteValue('srcset', ' small.jpg 480w,\n large.jpg', resolve),
+                ' https://cdn/small.jpg 480w,\n https://cdn/large.jpg'
+            );
+        });
+
+        it('should handle commas inside URLs', function () {
+            assert.equal(
+                rewriteValue('srcset', 'data:image/png;base64,AAA= 1x, img/a,b.png 2x', resolve),
+                'data:image/png;base64,AAA= 1x, https://cdn/img/a,b.png 2x'
+            );
+        });
+
+        it('should treat trailing commas on a URL as separators', function () {
+            assert.equal(rewriteValue('srcset', 'a.png, b.png,', resolve), 'https://cdn/a.png, https://cdn/b.png,');
+        });
+    });
+
+    describe('css', function () {
+        it('should resolve relative url() references', function () {
+            assert.equal(
+                rewriteValue('css', "body { background: url(img/bg.png) } .a { background: url( 'img/a.png' ) } .b { background: url(\"/b.png\") }", resolve),
+                "body { background: url(https://cdn/img/bg.png) } .a { background: url('https://cdn/img/a.png') } .b { background: url(\"/b.png\") }"
+            );
+        });
+
+        it('should leave data URIs alone', function () {
+            const css = ".a { background: url(data:image/gif;base64,R0lGOD) }";
+            assert.equal(rewriteValue('css', css, resolve), css);
+        });
+    });
+
+    describe('rules', function () {
+        const attributes = values => name => values[name] === undefined ? null : values[name];
+
+        it('should match tags case-insensitively', function () {
+            assert(matchesRule({ tag: 'img' }, 'IMG', attributes({})));
+            assert(matchesRule({ tag: 'IMG' }, 'img', attributes({})));
+            assert(matchesRule({ tag: '*' }, 'DIV', attributes({})));
+            assert(!matchesRule({ tag: 'img' }, 'VIDEO', attributes({})));
+        });
+
+        it('should filter on attribute values', function () {
+            const rule = { tag: 'meta', when: { property: [ 'og:image', 'og:image:url' ] } };
+
+            assert(matchesRule(rule, 'META', attributes({ property: 'og:image' })));
+            assert(!matchesRule(rule, 'META', attributes({ property: 'og:title' })));
+            assert(!matchesRule(rule, 'META', attributes({})));
+        });
+    });
+});
@@ -1,47 +1,16 @@
 const assert = require('assert').strict;
 
+const path = require('path');
+const zlib = require('zlib');
 const { JSDOM } = require('jsdom');
+const FakeTimers = require('@sinonjs/fake-timers');
 const { Router } = require('../lib/router');
+const { UpstreamError, CircuitOpenError } = require('../lib/errors');
+const { SourceResponse } = require('../lib/sources/response');
+const { createTempDir, removeTempDirs } = require('./helpers/temp');
+const { manifest: _manifest, config: _config, index: _index, settle, sequence, TestRouter } = require('./helpers/router');
 
 describe('Router', function () {
-    const _manifest = {
-        hash: 'TESTHASH',
-        apps: [ 'test' ],
-        default: 'test',
-        config: {
-            timestamp: 1234,
-            clientVersion: "1.0",
-        }
-    };
-
-    const _config = {
-        "cdn_prefix": "https://localhost/",
-        "idle_timeout": 1800000
-    };
-
-    const _index = "" +
-        "<html>" +
-        "   <head>" +
-        "       <link href=\"test/style.css\" rel=\"stylesheet\">" +
-        "   </head>" +
-        "   <body>" +
-        "       <script src=\"/home/config.js\"></script>" +
-        "       <script type=\"text/javascript\" src=\"//external-site/script.js\"></script>" +
-        "       <script type=\"text/javascript\" src=\"test/app.js\"></script>" +
-        "   </body>" +
-        "</html>";
-
-    class TestRouter extends Router {
-        async _doFetch(url, options) {
-            switch (url) {
-                case this._assetsUrl + 'manifest.json': return _manifest;
-                case this._assetsUrl + 'test/index.html': return _index;
-                case this._apiUrl + 'config.json': return _config;
-                default: throw new Error(`URL not matched: ${url}`);
-            }
-        }
-    }
-
     it('should download manifest when routing', async function () {
         const router = new TestRouter("https://localhost/asset-url/", "https://localhost/api-url/");
 
@@ -457,4 +426,1880 @@ describe('Router', function () {
         assert.deepEqual(await Promise.resolve(router._configPromise), _finalConfig);
         assert.equal(await Promise.resolve(router._indexes["test"]), _index);
     });
+    describe('cache expiry', function () {
+        const create = options => Object.assign(new TestRouter(undefined, undefined, options), { time: 0 });
+
+        it('should serve the cached manifest while it is fresh', async function () {
+            const router = create({ manifestTtl: 10 });
+
+            await router.fetchManifest();
+            router.time = 9999;
+            await router.fetchManifest();
+            await settle();
+
+            assert.equal(router.fetches.length, 1);
+        });
+
+        it('should refresh a stale manifest in the background', async function () {
+            const router = create({ manifestTtl: 10 });
+
+            await router.fetchManifest();
+
+            const updated = Object.assign({}, _manifest, { hash: 'NEWHASH' });
+            router.assets['manifest.json'] = updated;
+            router.time = 10000;
+
+            assert.deepEqual(await router.fetchManifest(), _manifest);
+            await settle();
+
+            assert.equal(router.fetches.length, 2);
+            assert.deepEqual(await router.fetchManifest(), updated);
+        });
+
+        it('should keep the last good copy when a refresh fails', async function () {
+            const router = create({ manifestTtl: 10 });
+
+            await router.fetchManifest();
+
+            router.assets['manifest.json'] = new Error("Bad manifest");
+            router.time = 10000;
+
+            assert.deepEqual(await router.fetchManifest(), _manifest);
+            await settle();
+            assert.deepEqual(await router.fetchManifest(), _manifest);
+            await settle();
+
+            assert.equal(router.fetches.length, 4);
+        });
+
+        it('should wait before refreshing again after a failed refresh', async function () {
+            const router = create({ manifestTtl: 60, refreshRetry: 10 });
+
+            await router.fetchManifest();
+
+            router.assets['manifest.json'] = new Error("Bad manifest");
+            router.time = 60000;
+            await router.fetchManifest();
+            await settle();
+
+            router.time = 69999;
+            await router.fetchManifest();
+            await settle();
+            assert.equal(router.fetches.length, 4);
+
+            router.assets['manifest.json'] = _manifest;
+            router.time = 70000;
+            await router.fetchManifest();
+            await settle();
+            assert.equal(router.fetches.length, 5);
+        });
+
+        it('should refresh config and index with their own TTLs', async function () {
+            const router = create({
+                manifestTtl: 100,
+                configTtl: 5,
+                indexTtl: 20
+            });
+
+            await router.route("/test/");
+            router.time = 10000;
+            await router.route("/test/");
+            await settle();
+
+            assert.equal(router.fetches.filter(url => url.endsWith('config.json')).length, 2);
+            assert.equal(router.fetches.filter(url => url.endsWith('index.html')).length, 1);
+            assert.equal(router.fetches.filter(url => url.endsWith('manifest.json')).length, 1);
+        });
+    });
+    describe('conditional revalidation', function () {
+        const validated = (etag, manifest) => ({ init }) => {
+            if (init.headers['If-None-Match'] === etag) {
+                return new SourceResponse(304);
+            }
+
+            return new SourceResponse(200, JSON.stringify(manifest || _manifest), {
+                'ETag': etag,
+                'Last-Modified': 'Mon, 01 Jul 2019 00:00:00 GMT'
+            });
+        };
+
+        const create = options => {
+            const router = new TestRouter(undefined, undefined, options);
+            router.http = true;
+            router.time = 0;
+            router.assets['manifest.json'] = validated('"v1"');
+            return router;
+        };
+
+        it('should not send validators on the initial fetch', async function () {
+            const router = create();
+
+            await router.fetchManifest();
+
+            assert.deepEqual(router.requests[0].headers, {});
+        });
+
+        it('should send validators from the previous response when refreshing', async function () {
+            const router = create({ manifestTtl: 10 });
+
+            await router.fetchManifest();
+            router.time = 10000;
+            await router.fetchManifest();
+            await settle();
+
+            assert.equal(router.requests.length, 2);
+            assert.deepEqual(router.requests[1].headers, {
+                'If-None-Match': '"v1"',
+                'If-Modified-Since': 'Mon, 01 Jul 2019 00:00:00 GMT'
+            });
+        });
+
+        it('should keep the cached copy fresh on 304 without retrying', async function () {
+            const router = create({ manifestTtl: 10 });
+
+            const promise = router.fetchManifest();
+            await promise;
+
+            router.time = 10000;
+            await router.fetchManifest();
+            await settle();
+
+            assert.equal(router._manifestPromise, promise);
+
+            router.time = 19999;
+            await router.fetchManifest();
+            await settle();
+
+            assert.equal(router.requests.length, 2);
+        });
+
+        it('should not revalidate against a rejected refresh', async function () {
+            const router = create({ manifestTtl: 10 });
+
+            const promise = router.fetchManifest();
+            await promise;
+
+            router.assets['manifest.json'] = validated('"v2"', { apps: [] });
+            router.time = 10000;
+            await router.fetchManifest();
+            await settle();
+
+            assert(router._expiry.get(promise).failed);
+
+            router.time = 60000;
+            await router.fetchManifest();
+            await settle();
+
+            assert.equal(router.requests.length, 3);
+            assert.equal(router.requests[2].headers['If-None-Match'], '"v1"');
+            assert(router._expiry.get(promise).failed);
+        });
+    });
+    describe('response validators', function () {
+        it('should send a strong ETag with the app index', async function () {
+            const router = new TestRouter("https://localhost/asset-url/", "https://localhost/api-url/");
+
+            const res1 = await router.route("/test/");
+            const res2 = await router.route("/test/");
+
+            assert.equal(res1.statusCode, 200);
+            assert(/^"[0-9a-f]+"$/.test(res1.headers['ETag']));
+            assert.equal(res1.headers['ETag'], res2.headers['ETag']);
+        });
+
+        it('should change the ETag when the transformed body changes', async function () {
+            const router1 = new TestRouter("https://localhost/asset-url/", "https://localhost/api-url/");
+            const router2 = new TestRouter("https://localhost/other-asset-url/", "https://localhost/api-url/");
+
+            const res1 = await router1.route("/test/");
+            const res2 = await router2.route("/test/");
+
+            assert.notEqual(res1.headers['ETag'], res2.headers['ETag']);
+        });
+
+        it('should return 304 without a body when If-None-Match matches', async function () {
+            const router = new TestRouter("https://localhost/asset-url/", "https://localhost/api-url/");
+
+            const res1 = await router.route("/test/");
+            const res2 = await router.route("/test/", {
+                headers: { 'if-none-match': 'W/"other", ' + res1.headers['ETag'] }
+            });
+
+            assert.equal(res2.statusCode, 304);
+            assert.equal(res2.body, undefined);
+            assert.equal(res2.headers['ETag'], res1.headers['ETag']);
+        });
+
+        it('should return the full body when If-None-Match does not match', async function () {
+            const router = new TestRouter("https://localhost/asset-url/", "https://localhost/api-url/");
+
+            const res = await router.route("/test/", {
+                headers: { 'If-None-Match': '"stale"' }
+            });
+
+            assert.equal(res.statusCode, 200);
+            assert(res.body.length > 0);
+        });
+    });
+    describe('history routing', function () {
+        const _historyManifest = {
+            hash: 'TESTHASH',
+            apps: {
+                test: {},
+                spa: { routing: 'history' }
+            },
+            default: 'test'
+        };
+
+        const create = () => {
+            const router = new TestRouter();
+            router.assets['manifest.json'] = _historyManifest;
+            router.assets['spa/index.html'] = _index;
+            return router;
+        };
+
+        it('should keep hash redirects for apps without a routing mode', async function () {
+            const router = create();
+            const res = await router.route("/test/sub-path");
+
+            assert.equal(res.statusCode, 301);
+            assert.equal(res.headers['Location'], '/test/#sub-path');
+        });
+
+        it('should serve the index for sub-paths of history apps', async function () {
+            const router = create();
+
+            const res1 = await router.route("/spa/");
+            const res2 = await router.route("/spa/deep/link");
+
+            assert.equal(res1.statusCode, 200);
+            assert.equal(res2.statusCode, 200);
+            assert.equal(res1.body, res2.body);
+        });
+
+        it('should inject a base href for history apps', async function () {
+            const router = create();
+            const res = await router.route("/spa/deep/link");
+
+            const document = new JSDOM(res.body).window.document;
+            const bases = document.getElementsByTagName("base");
+
+            assert.equal(bases.length, 1);
+            assert.equal(bases[0].getAttribute("href"), "/spa/");
+            assert.equal(document.head.firstChild, bases[0]);
+        });
+
+        it('should not inject a base href for hash apps', async function () {
+            const router = create();
+            const res = await router.route("/test/");
+
+            const document = new JSDOM(res.body).window.document;
+            assert.equal(document.getElementsByTagName("base").length, 0);
+        });
+
+        it('should block appcache requests for history apps', async function () {
+            const router = create();
+            const res = await router.route("/spa/deep/manifest.appcache");
+
+            assert.equal(res.statusCode, 404);
+        });
+
+        it('should fail for unknown apps', async function () {
+            const router = create();
+            const res = await router.route("/other/deep/link");
+
+            assert.equal(res.statusCode, 404);
+        });
+    });
+    describe('document validation', function () {
+        const create = options => Object.assign(new TestRouter(undefined, undefined, options), { time: 0 });
+
+        it('should report an invalid manifest', async function () {
+            const router = create();
+            router.assets['manifest.json'] = { apps: [ 'test' ], default: 'other' };
+
+            const res = await router.route("/test/", { requestId: 'req-1' });
+
+            assert.equal(res.statusCode, 500);
+            assert.deepEqual(JSON.parse(res.body), { error: 'Invalid manifest', code: 'invalid_manifest', requestId: 'req-1' });
+            assert.equal(router._manifestPromise, undefined);
+        });
+
+        it('should report an invalid config', async function () {
+            const router = create();
+            router.api['config.json'] = [ 'not', 'an', 'object' ];
+
+            const res = await router.route("/test/");
+
+            assert.equal(res.statusCode, 500);
+            assert.equal(JSON.parse(res.body).code, 'invalid_config');
+        });
+
+        it('should report an unavailable upstream', async function () {
+            const router = create();
+            router.api['config.json'] = new Error("Connection refused");
+
+            const res = await router.route("/test/", { requestId: 'req-1' });
+
+            assert.equal(res.statusCode, 500);
+            assert.deepEqual(JSON.parse(res.body), { error: 'Upstream unavailable', code: 'upstream_unavailable', requestId: 'req-1' });
+        });
+
+        it('should report documents that are not JSON without retrying', async function () {
+            const router = create({ circuitThreshold: 2 });
+            router.http = true;
+            router.api['config.json'] = '{ "cdn_prefix": ';
+
+            for (let i = 0; i < 3; ++ i) {
+                const res = await router.route("/test/");
+
+                assert.equal(res.statusCode, 500);
+                assert.equal(JSON.parse(res.body).code, 'invalid_config');
+            }
+
+            assert.equal(router.fetches.filter(url => url.endsWith('config.json')).length, 3);
+            assert.deepEqual(router._circuits, {});
+        });
+
+        it('should keep the previous manifest when a refresh is invalid', async function () {
+            const router = create({ manifestTtl: 10 });
+
+            await router.fetchManifest();
+
+            router.assets['manifest.json'] = { apps: 'test', default: 'test' };
+            router.time = 10000;
+
+            await router.fetchManifest();
+            await settle();
+
+            assert.deepEqual(await router.fetchManifest(), _manifest);
+
+            const res = await router.route("/test/");
+            assert.equal(res.statusCode, 200);
+        });
+    });
+    describe('per-app config', function () {
+        const _appManifest = {
+            hash: 'TESTHASH',
+            apps: {
+                test: {},
+                admin: {
+                    config: {
+                        api_path: '/admin',
+                        features: { audit: true },
+                        clientVersion: null
+                    }
+                }
+            },
+            default: 'test',
+            config: {
+                clientVersion: "1.0",
+                features: { search: true }
+            }
+        };
+
+        const _appConfig = {
+            cdn_prefix: "https://localhost/",
+            api_path: '/api',
+            features: { search: false, export: true },
+            apps: {
+                admin: {
+                    config: {
+                        api_path: '/internal',
+                        features: { export: null }
+                    }
+                }
+            }
+        };
+
+        const create = () => {
+            const router = new TestRouter();
+            router.assets['manifest.json'] = _appManifest;
+            router.assets['admin/index.html'] = _index;
+            router.api['config.json'] = _appConfig;
+            return router;
+        };
+
+        const injectedConfig = body => {
+            const document = new JSDOM(body).window.document;
+            const script = Array.from(document.getElementsByTagName("script")).find(script => !script.hasAttribute("src"));
+            return JSON.parse(/.* = ({.*}).*/.exec(script.innerHTML)[1]);
+        };
+
+        it('should inject shared config for apps without overrides', async function () {
+            const router = create();
+            const config = injectedConfig((await router.route("/test/")).body);
+
+            assert.deepEqual(config, {
+                target: [ '/test/' ],
+                assets_url: router._assetsUrl,
+                api_url: router._apiUrl,
+                cdn_prefix: "https://localhost/",
+                api_path: '/api',
+                features: { search: true, export: true },
+                clientVersion: "1.0"
+            });
+        });
+
+        it('should apply per-app overrides with manifest taking precedence', async function () {
+            const router = create();
+            const config = injectedConfig((await router.route("/admin/")).body);
+
+            assert.deepEqual(config, {
+                target: [ '/admin/' ],
+                assets_url: router._assetsUrl,
+                api_url: router._apiUrl,
+                cdn_prefix: "https://localhost/",
+                api_path: '/admin',
+                features: { search: true, audit: true }
+            });
+        });
+    });
+    describe('content security policy', function () {
+        const _styledIndex = "" +
+            "<html>" +
+            "   <head>" +
+            "       <style>body { margin: 0; }</style>" +
+            "   </head>" +
+            "   <body>" +
+            "       <script src=\"/home/config.js\"></script>" +
+            "       <script>window.started = true;</script>" +
+            "       <script type=\"text/javascript\" src=\"test/app.js\"></script>" +
+            "   </body>" +
+            "</html>";
+
+        const create = (assets, api, options, manifest) => {
+            const router = new TestRouter(assets, api, options);
+            router.assets['manifest.json'] = manifest || _manifest;
+            router.assets['test/index.html'] = _styledIndex;
+            return router;
+        };
+
+        const policy = "script-src 'self' {assets} {nonce}; style-src {nonce}; connect-src {api}";
+
+        it('should not send a policy unless one is configured', async function () {
+            const router = create("https://localhost/asset-url/", "https://localhost/api-url/");
+            const res = await router.route("/test/");
+
+            assert.equal(res.headers['Content-Security-Policy'], undefined);
+            assert(!res.body.includes('nonce='));
+        });
+
+        it('should put the response nonce on inline scripts and styles', async function () {
+            const router = create("https://cdn.example.com/asset-url/", "https://api.example.com/api-url/", { csp: policy });
+            const res = await router.route("/test/");
+
+            const header = res.headers['Content-Security-Policy'];
+            const nonce = /'nonce-([^']+)'/.exec(header)[1];
+
+            assert.equal(header, `script-src 'self' https://cdn.example.com 'nonce-${nonce}'; style-src 'nonce-${nonce}'; connect-src https://api.example.com`);
+
+            const document = new JSDOM(res.body).window.document;
+            const inline = Array.from(document.querySelectorAll("script:not([src]), style"));
+            const external = Array.from(document.querySelectorAll("script[src]"));
+
+            assert.equal(inline.length, 3);
+            inline.forEach(element => assert.equal(element.getAttribute("nonce"), nonce));
+            external.forEach(element => assert.equal(element.hasAttribute("nonce"), false));
+        });
+
+        it('should use a fresh nonce and no ETag for every response', async function () {
+            const router = create("https://localhost/asset-url/", "https://localhost/api-url/", { csp: policy });
+
+            const res1 = await router.route("/test/");
+            const res2 = await router.route("/test/");
+
+            assert.notEqual(res1.headers['Content-Security-Policy'], res2.headers['Content-Security-Policy']);
+            assert.equal(res1.headers['ETag'], undefined);
+        });
+
+        it('should prefer the policy from the manifest', async function () {
+            const manifest = Object.assign({}, _manifest, { csp: { 'script-src': [ '{nonce}' ] } });
+            const router = create("https://localhost/asset-url/", "https://localhost/api-url/", { csp: policy }, manifest);
+            const res = await router.route("/test/");
+
+            assert(/^script-src 'nonce-[^']+'$/.test(res.headers['Content-Security-Policy']));
+        });
+    });
+    describe('security headers', function () {
+        const _secureManifest = {
+            hash: 'TESTHASH',
+            apps: {
+                test: {},
+                embed: {
+                    headers: {
+                        'X-Frame-Options': null,
+                        'Referrer-Policy': 'no-referrer'
+                    }
+                }
+            },
+            default: 'test',
+            headers: {
+                'Permissions-Policy': 'geolocation=(self)'
+            }
+        };
+
+        const create = options => {
+            const router = new TestRouter(undefined, undefined, options);
+            router.assets['manifest.json'] = _secureManifest;
+            router.assets['embed/index.html'] = _index;
+            return router;
+        };
+
+        const assertSecure = (res, overrides) => {
+            const expected = Object.assign({
+                'Strict-Transport-Security': 'max-age=31536000; includeSubDomains',
+                'X-Content-Type-Options': 'nosniff',
+                'Referrer-Policy': 'strict-origin-when-cross-origin',
+                'Permissions-Policy': 'geolocation=(self)',
+                'X-Frame-Options': 'DENY'
+            }, overrides);
+
+            Object.keys(expected).forEach(name => {
+                assert.equal(res.headers[name], expected[name] === null ? undefined : expected[name], name);
+            });
+        };
+
+        const cases = {
+            'root redirect': [ "/", 301 ],
+            'invalid path': [ "/incomplete", 404 ],
+            'unknown app': [ "/invalid/", 404 ],
+            'app redirect': [ "/test", 301 ],
+            'appcache': [ "/test/manifest.appcache", 404 ],
+            'hash redirect': [ "/test/sub-path", 301 ],
+            'app index': [ "/test/", 200 ]
+        };
+
+        Object.keys(cases).forEach(name => {
+            it(`should add security headers to the ${name} response`, async function () {
+                const [ path, statusCode ] = cases[name];
+
+                const router = create();
+                const res = await router.route(path);
+
+                assert.equal(res.statusCode, statusCode);
+                assertSecure(res);
+            });
+        });
+
+        it('should add security headers to not modified responses', async function () {
+            const router = create();
+
+            const res1 = await router.route("/test/");
+            const res2 = await router.route("/test/", { headers: { 'If-None-Match': res1.headers['ETag'] } });
+
+            assert.equal(res2.statusCode, 304);
+            assertSecure(res2);
+        });
+
+        it('should add default security headers to error responses', async function () {
+            const router = create();
+            router.assets['manifest.json'] = { apps: [] };
+
+            const res = await router.route("/test/");
+
+            assert.equal(res.statusCode, 500);
+            assertSecure(res, { 'Permissions-Policy': 'camera=(), microphone=(), geolocation=(), payment=()' });
+        });
+
+        it('should apply per-app overrides', async function () {
+            const router = create();
+            const res = await router.route("/embed/");
+
+            assertSecure(res, { 'X-Frame-Options': null, 'Referrer-Policy': 'no-referrer' });
+        });
+
+        it('should apply stage overrides from the router options', async function () {
+            const router = create({
+                securityHeaders: {
+                    'Strict-Transport-Security': 'max-age=60',
+                    'X-Frame-Options': 'SAMEORIGIN'
+                }
+            });
+
+            const res1 = await router.route("/test/");
+            const res2 = await router.route("/embed/");
+
+            assertSecure(res1, { 'Strict-Transport-Security': 'max-age=60', 'X-Frame-Options': 'SAMEORIGIN' });
+            assertSecure(res2, { 'Strict-Transport-Security': 'max-age=60', 'X-Frame-Options': null, 'Referrer-Policy': 'no-referrer' });
+        });
+
+        it('should apply layered stage overrides in order', async function () {
+            const router = create({
+                securityHeaders: [
+                    { 'X-Frame-Options': 'SAMEORIGIN', 'Strict-Transport-Security': 'max-age=60' },
+                    { 'x-frame-options': null },
+                    undefined
+                ]
+            });
+
+            const res = await router.route("/test/");
+
+            assertSecure(res, { 'Strict-Transport-Security': 'max-age=60', 'X-Frame-Options': null });
+            assert.equal(res.headers['x-frame-options'], undefined);
+        });
+
+        it('should not override headers set by the response', async function () {
+            const router = create({
+                securityHeaders: { 'Cache-Control': 'no-cache' }
+            });
+
+            const res = await router.route("/test/");
+
+            assert.equal(res.headers['Cache-Control'], 'max-age=60, s-maxage=300');
+        });
+    });
+    describe('subresource integrity', function () {
+        const crypto = require('crypto');
+
+        const _assets = {
+            'test/style.css': 'body { margin: 0; }',
+            'test/app.js': 'console.log("app");',
+            'test/preload.js': 'console.log("preload");'
+        };
+
+        const _sriIndex = "" +
+            "<html>" +
+            "   <head>" +
+            "       <link href=\"test/style.css\" rel=\"stylesheet\">" +
+            "       <link href=\"test/preload.js\" rel=\"preload\" as=\"script\" crossorigin=\"use-credentials\">" +
+            "       <link href=\"test/favicon.ico\" rel=\"icon\">" +
+            "   </head>" +
+            "   <body>" +
+            "       <script src=\"/home/config.js\"></script>" +
+            "       <script type=\"text/javascript\" src=\"//external-site/script.js\"></script>" +
+            "       <script type=\"text/javascript\" src=\"test/app.js\"></script>" +
+            "   </body>" +
+            "</html>";
+
+        const digest = content => 'sha384-' + crypto.createHash('sha384').update(content).digest('base64');
+
+        const create = (assets, api, options, manifest) => {
+            const router = new TestRouter(assets, api, options);
+            Object.assign(router.assets, _assets, {
+                'manifest.json': manifest || _manifest,
+                'test/index.html': _sriIndex
+            });
+            return router;
+        };
+
+        const elements = body => {
+            const document = new JSDOM(body).window.document;
+            return {
+                style: document.querySelector('link[rel="stylesheet"]'),
+                preload: document.querySelector('link[rel="preload"]'),
+                icon: document.querySelector('link[rel="icon"]'),
+                app: document.querySelector('script[src$="app.js"]'),
+                external: document.querySelector('script[src*="external-site"]')
+            };
+        };
+
+        it('should not add integrity unless configured', async function () {
+            const router = create("https://localhost/asset-url/", "https://localhost/api-url/");
+            const res = await router.route("/test/");
+
+            assert(!res.body.includes('integrity='));
+        });
+
+        it('should use digests from the manifest', async function () {
+            const manifest = Object.assign({}, _manifest, {
+                integrity: {
+                    'test/app.js': 'sha384-fromManifest',
+                    'test/style.css': 'sha256-styleDigest'
+                }
+            });
+
+            const router = create("https://cdn.example.com/asset-url/", "https://localhost/api-url/", {}, manifest);
+            const { app, style, external } = elements((await router.route("/test/")).body);
+
+            assert.equal(app.getAttribute('integrity'), 'sha384-fromManifest');
+            assert.equal(app.getAttribute('crossorigin'), 'anonymous');
+            assert.equal(style.getAttribute('integrity'), 'sha256-styleDigest');
+            assert.equal(external.hasAttribute('integrity'), false);
+        });
+
+        it('should compute digests for relocated assets', async function () {
+            const router = create("https://cdn.example.com/asset-url/", "https://localhost/api-url/", { computeIntegrity: true });
+            const { app, style, preload, icon, external } = elements((await router.route("/test/")).body);
+
+            assert.equal(app.getAttribute('integrity'), digest(_assets['test/app.js']));
+            assert.equal(style.getAttribute('integrity'), digest(_assets['test/style.css']));
+            assert.equal(preload.getAttribute('integrity'), digest(_assets['test/preload.js']));
+            assert.equal(preload.getAttribute('crossorigin'), 'use-credentials');
+            assert.equal(icon.hasAttribute('integrity'), false);
+            assert.equal(external.hasAttribute('integrity'), false);
+        });
+
+        it('should cache computed digests per build hash', async function () {
+            const router = create("https://cdn.example.com/asset-url/", "https://localhost/api-url/", { computeIntegrity: true });
+
+            await router.route("/test/");
+            await router.route("/test/");
+
+            assert.equal(router.fetches.filter(url => url.endsWith('test/app.js')).length, 1);
+
+            router._manifestPromise = Promise.resolve(Object.assign({}, _manifest, { hash: 'NEWHASH' }));
+            await router.route("/test/");
+
+            assert.equal(router.fetches.filter(url => url.endsWith('test/app.js')).length, 2);
+            assert.deepEqual(Object.keys(router._digests), [ 'NEWHASH' ]);
+        });
+
+        it('should compute digests again for manifests without a hash', async function () {
+            const manifest = Object.assign({}, _manifest);
+            delete manifest.hash;
+
+            const router = create("https://cdn.example.com/asset-url/", "https://localhost/api-url/", { computeIntegrity: true }, manifest);
+            await router.route("/test/");
+
+            router.assets['test/app.js'] = 'console.log("deployed");';
+            router._manifestPromise = Promise.resolve(Object.assign({}, manifest));
+            const { app } = elements((await router.route("/test/")).body);
+
+            assert.equal(app.getAttribute('integrity'), digest(router.assets['test/app.js']));
+            assert.deepEqual(router._digests, {});
+        });
+
+        it('should skip assets whose digest cannot be computed', async function () {
+            const router = create("https://cdn.example.com/asset-url/", "https://localhost/api-url/", { computeIntegrity: true });
+            delete router.assets['test/app.js'];
+
+            const res = await router.route("/test/");
+            const { app, style } = elements(res.body);
+
+            assert.equal(res.statusCode, 200);
+            assert.equal(app.hasAttribute('integrity'), false);
+            assert.equal(style.getAttribute('integrity'), digest(_assets['test/style.css']));
+            assert.equal(router._digests['TESTHASH']['test/app.js'], undefined);
+        });
+    });
+    describe('url relocation', function () {
+        const _richIndex = "" +
+            "<html>" +
+            "   <head>" +
+            "       <meta property=\"og:image\" content=\"img/share.png\">" +
+            "       <meta property=\"og:title\" content=\"img/not-a-url\">" +
+            "       <link rel=\"manifest\" href=\"site.webmanifest\">" +
+            "       <link rel=\"preload\" href=\"fonts/a.woff2\" as=\"font\">" +
+            "       <style>body { background: url('img/bg.png'); } .x { background: url(/root.png); }</style>" +
+            "   </head>" +
+            "   <body>" +
+            "       <img src=\"img/logo.png\" srcset=\"img/logo.png 1x, img/logo@2x.png 2x\" data-src=\"img/lazy.png\">" +
+            "       <img src=\"data:image/gif;base64,R0lGOD\">" +
+            "       <picture><source srcset=\"img/a.webp 480w, https://other/b.webp 800w\" type=\"image/webp\"></picture>" +
+            "       <video poster=\"img/poster.jpg\"><source src=\"media/clip.mp4\"></video>" +
+            "       <div style=\"background-image: url(img/div.png)\"></div>" +
+            "       <script src=\"/home/config.js\"></script>" +
+            "   </body>" +
+            "</html>";
+
+        const create = (assets, api, options, manifest) => {
+            const router = new TestRouter(assets, api, options);
+            router.assets['manifest.json'] = manifest || _manifest;
+            router.assets['test/index.html'] = _richIndex;
+            return router;
+        };
+
+        const assetsUrl = "https://cdn.example.com/asset-url/";
+
+        it('should relocate images, media, meta, manifest links and styles', async function () {
+            const router = create(assetsUrl, "https://localhost/api-url/");
+            const document = new JSDOM((await router.route("/test/")).body).window.document;
+
+            assert.equal(document.querySelector('meta[property="og:image"]').getAttribute('content'), assetsUrl + 'img/share.png');
+            assert.equal(document.querySelector('meta[property="og:title"]').getAttribute('content'), 'img/not-a-url');
+            assert.equal(document.querySelector('link[rel="manifest"]').getAttribute('href'), assetsUrl + 'site.webmanifest');
+            assert.equal(document.querySelector('link[rel="preload"]').getAttribute('href'), assetsUrl + 'fonts/a.woff2');
+
+            const images = document.getElementsByTagName('img');
+            assert.equal(images[0].getAttribute('src'), assetsUrl + 'img/logo.png');
+            assert.equal(images[0].getAttribute('srcset'), `${assetsUrl}img/logo.png 1x, ${assetsUrl}img/logo@2x.png 2x`);
+            assert.equal(images[0].getAttribute('data-src'), 'img/lazy.png');
+            assert.equal(images[1].getAttribute('src'), 'data:image/gif;base64,R0lGOD');
+
+            assert.equal(document.querySelector('picture source').getAttribute('srcset'), `${assetsUrl}img/a.webp 480w, https://other/b.webp 800w`);
+            assert.equal(document.querySelector('video').getAttribute('poster'), assetsUrl + 'img/poster.jpg');
+            assert.equal(document.querySelector('video source').getAttribute('src'), assetsUrl + 'media/clip.mp4');
+
+            assert.equal(document.querySelector('style').textContent, `body { background: url('${assetsUrl}img/bg.png'); } .x { background: url(/root.png); }`);
+            assert.equal(document.querySelector('div').getAttribute('style'), `background-image: url(${assetsUrl}img/div.png)`);
+        });
+
+        it('should apply rewrite rules from the manifest and the app', async function () {
+            const manifest = {
+                hash: 'TESTHASH',
+                apps: {
+                    test: {
+                        rewrite: [ { tag: 'div', attribute: 'data-bg', type: 'css' } ]
+                    }
+                },
+                default: 'test',
+                rewrite: [ { tag: 'img', attribute: 'data-src', type: 'url' } ]
+            };
+
+            const html = _richIndex.replace('<div style', '<div data-bg="url(img/bg2.png)" style');
+            const router = create(assetsUrl, "https://localhost/api-url/", {}, manifest);
+            router._indexes['test'] = Promise.resolve(html);
+
+            const document = new JSDOM((await router.route("/test/")).body).window.document;
+
+            assert.equal(document.getElementsByTagName('img')[0].getAttribute('data-src'), assetsUrl + 'img/lazy.png');
+            assert.equal(document.querySelector('div').getAttribute('data-bg'), `url(${assetsUrl}img/bg2.png)`);
+        });
+    });
+
+    describe('rendered output cache', function () {
+        class RenderRouter extends TestRouter {
+            constructor(assets, api, options) {
+                super(assets, api, options);
+                this.time = 0;
+                this.renders = 0;
+                this.assets['other/index.html'] = _index;
+            }
+
+            async transform(app, html, config, options) {
+                ++ this.renders;
+                return super.transform(app, html, config, options);
+            }
+        }
+
+        it('should render each app once while its inputs are unchanged', async function () {
+            const router = new RenderRouter("https://localhost/asset-url/", "https://localhost/api-url/");
+
+            const res1 = await router.route("/test/");
+            const res2 = await router.route("/test/");
+
+            assert.equal(router.renders, 1);
+            assert.equal(res1.body, res2.body);
+            assert.equal(res1.headers['ETag'], res2.headers['ETag']);
+        });
+
+        it('should render again when the config is refreshed', async function () {
+            const router = new RenderRouter("https://localhost/asset-url/", "https://localhost/api-url/", { configTtl: 5 });
+
+            await router.route("/test/");
+            router.time = 10000;
+            await router.route("/test/");
+            await settle();
+            await router.route("/test/");
+
+            assert.equal(router.renders, 2);
+        });
+
+        it('should render again when the manifest is refreshed', async function () {
+            const router = new RenderRouter("https://localhost/asset-url/", "https://localhost/api-url/", { manifestTtl: 5 });
+
+            await router.route("/test/");
+
+            router.assets['manifest.json'] = Object.assign({}, _manifest, { config: { timestamp: 5678 } });
+            router.time = 10000;
+            await router.route("/test/");
+            await settle();
+            const res = await router.route("/test/");
+
+            assert.equal(router.renders, 2);
+            assert(res.body.includes('"timestamp":5678'));
+        });
+
+        it('should substitute a fresh nonce into cached output', async function () {
+            const router = new RenderRouter("https://localhost/asset-url/", "https://localhost/api-url/", { csp: "script-src {nonce}" });
+            router._indexes['test'] = Promise.resolve(_index.replace('</body>', '<script>start();</script></body>'));
+
+            const res1 = await router.route("/test/");
+            const res2 = await router.route("/test/");
+
+            const nonce = res => /'nonce-([^']+)'/.exec(res.headers['Content-Security-Policy'])[1];
+
+            assert.equal(router.renders, 1);
+            assert.notEqual(nonce(res1), nonce(res2));
+            assert(res1.body.includes(`<script nonce="${nonce(res1)}">start();</script>`));
+            assert(res2.body.includes(`<script nonce="${nonce(res2)}">start();</script>`));
+            assert(!res2.body.includes(router._noncePlaceholder));
+        });
+
+        it('should evict the least recently rendered app', async function () {
+            const router = new RenderRouter("https://localhost/asset-url/", "https://localhost/api-url/", { renderCacheSize: 1 });
+            router.assets['manifest.json'] = Object.assign({}, _manifest, { apps: [ 'test', 'other' ] });
+
+            await router.route("/test/");
+            await router.route("/other/");
+            await router.route("/other/");
+            await router.route("/test/");
+
+            assert.equal(router.renders, 3);
+        });
+
+        it('should not cache output when digests could not be computed', async function () {
+            const router = new RenderRouter("https://localhost/asset-url/", "https://localhost/api-url/", { computeIntegrity: true });
+            router.assets['test/app.js'] = new Error("Digest unavailable");
+            router.assets['test/style.css'] = new Error("Digest unavailable");
+
+            await router.route("/test/");
+            await router.route("/test/");
+
+            assert.equal(router.renders, 2);
+        });
+    });
+
+    describe('response compression', function () {
+        const _largeIndex = _index.replace('</body>', '<p>' + 'Lorem ipsum dolor sit amet. '.repeat(100) + '</p></body>');
+
+        const create = options => {
+            const router = new TestRouter(undefined, undefined, options);
+            router.assets['test/index.html'] = _largeIndex;
+            return router;
+        };
+
+        const decode = res => {
+            const body = Buffer.from(res.body, 'base64');
+            switch (res.headers['Content-Encoding']) {
+                case 'br': return zlib.brotliDecompressSync(body).toString('utf8');
+                case 'gzip': return zlib.gunzipSync(body).toString('utf8');
+                default: throw new Error(`Unexpected encoding ${res.headers['Content-Encoding']}`);
+            }
+        };
+
+        it('should compress with the preferred accepted encoding', async function () {
+            const router = create();
+
+            const plain = await router.route("/test/");
+            const br = await router.route("/test/", { headers: { 'accept-encoding': 'gzip, deflate, br' } });
+            const gzip = await router.route("/test/", { headers: { 'accept-encoding': 'gzip' } });
+
+            assert.equal(plain.isBase64Encoded, undefined);
+            assert.equal(plain.headers['Content-Encoding'], undefined);
+            assert.equal(plain.headers['Vary'], 'Accept-Encoding');
+
+            assert.equal(br.headers['Content-Encoding'], 'br');
+            assert.equal(br.headers['Vary'], 'Accept-Encoding');
+            assert.equal(br.isBase64Encoded, true);
+            assert.equal(decode(br), plain.body);
+
+            assert.equal(gzip.headers['Content-Encoding'], 'gzip');
+            assert.equal(decode(gzip), plain.body);
+        });
+
+        it('should use a separate ETag for every encoding', async function () {
+            const router = create();
+
+            const plain = await router.route("/test/");
+            const gzip = await router.route("/test/", { headers: { 'accept-encoding': 'gzip' } });
+
+            assert.notEqual(plain.headers['ETag'], gzip.headers['ETag']);
+
+            const res = await router.route("/test/", {
+                headers: { 'accept-encoding': 'gzip', 'if-none-match': gzip.headers['ETag'] }
+            });
+
+            assert.equal(res.statusCode, 304);
+            assert.equal(res.headers['Vary'], 'Accept-Encoding');
+
+            const other = await router.route("/test/", {
+                headers: { 'accept-encoding': 'br', 'if-none-match': gzip.headers['ETag'] }
+            });
+
+            assert.equal(other.statusCode, 200);
+        });
+
+        it('should not compress bodies below the threshold', async function () {
+            const router = create();
+            router.assets['test/index.html'] = _index;
+
+            const res = await router.route("/test/", { headers: { 'accept-encoding': 'br' } });
+
+            assert.equal(res.headers['Content-Encoding'], undefined);
+            assert.equal(res.headers['Vary'], undefined);
+            assert.equal(res.isBase64Encoded, undefined);
+        });
+
+        it('should not compress when disabled', async function () {
+            const router = create({ compression: false });
+            const res = await router.route("/test/", { headers: { 'accept-encoding': 'br' } });
+
+            assert.equal(res.headers['Content-Encoding'], undefined);
+            assert.equal(res.headers['Vary'], undefined);
+        });
+
+        it('should cache compressed variants with the rendered output', async function () {
+            const router = create();
+
+            const res1 = await router.route("/test/", { headers: { 'accept-encoding': 'br' } });
+            const rendered = await Array.from(router._rendered._entries.values())[0].output;
+            const variant = rendered.variants['br'];
+            const res2 = await router.route("/test/", { headers: { 'accept-encoding': 'br' } });
+
+            assert.equal(rendered.variants['br'], variant);
+            assert.equal(res1.body, res2.body);
+        });
+
+        it('should compress output carrying a nonce for every response', async function () {
+            const router = create({ csp: "script-src {nonce}" });
+            router.assets['test/index.html'] = _largeIndex.replace('</body>', '<script>start();</script></body>');
+
+            const res = await router.route("/test/", { headers: { 'accept-encoding': 'gzip' } });
+            const nonce = /'nonce-([^']+)'/.exec(res.headers['Content-Security-Policy'])[1];
+
+            assert(decode(res).includes(`<script nonce="${nonce}">start();</script>`));
+        });
+    });
+
+    describe('canary builds', function () {
+        const _canaryManifest = {
+            hash: 'TESTHASH',
+            apps: {
+                test: {
+                    builds: [
+                        { name: 'stable', weight: 95 },
+                        { name: 'next', weight: 5, index: 'test-next/index.html' }
+                    ]
+                }
+            },
+            default: 'test'
+        };
+
+        const create = (options, manifest) => {
+            const router = new TestRouter(undefined, undefined, options);
+            router.point = 0;
+            router.assets['manifest.json'] = manifest || _canaryManifest;
+            router.assets['test-next/index.html'] = _index.replace('test/app.js', 'test-next/app.js');
+            return router;
+        };
+
+        const configOf = res => {
+            const document = new JSDOM(res.body, { runScripts: 'dangerously' }).window;
+            return document._app_config;
+        };
+
+        it('should assign new clients by weight and remember the build in a cookie', async function () {
+            const router = create();
+
+            const stable = await router.route("/test/");
+            router.point = 0.97;
+            const next = await router.route("/test/");
+
+            assert.equal(stable.headers['X-App-Build'], 'stable');
+            assert.equal(stable.headers['Set-Cookie'], 'build_test=stable; Path=/test/; Max-Age=2592000; SameSite=Lax; Secure');
+            assert(stable.body.includes('https://localhost/asset-url/test/app.js'));
+
+            assert.equal(next.headers['X-App-Build'], 'next');
+            assert.equal(next.headers['Set-Cookie'], 'build_test=next; Path=/test/; Max-Age=2592000; SameSite=Lax; Secure');
+            assert(next.body.includes('https://localhost/asset-url/test-next/app.js'));
+        });
+
+        it('should keep clients on the build from their cookie', async function () {
+            const router = create();
+            const res = await router.route("/test/", { headers: { cookie: 'other=1; build_test=next' } });
+
+            assert.equal(res.headers['X-App-Build'], 'next');
+            assert.equal(res.headers['Set-Cookie'], undefined);
+        });
+
+        it('should reassign clients whose build is gone or disabled', async function () {
+            const manifest = JSON.parse(JSON.stringify(_canaryManifest));
+            manifest.apps.test.builds[1].weight = 0;
+
+            const router = create(undefined, manifest);
+
+            const disabled = await router.route("/test/", { headers: { cookie: 'build_test=next' } });
+            const unknown = await router.route("/test/", { headers: { cookie: 'build_test=old' } });
+
+            assert.equal(disabled.headers['X-App-Build'], 'stable');
+            assert.equal(unknown.headers['Set-Cookie'].split(';')[0], 'build_test=stable');
+        });
+
+        it('should assign by a hash of the sticky header', async function () {
+            const manifest = JSON.parse(JSON.stringify(_canaryManifest));
+            manifest.apps.test.sticky = { cookie: 'variant', header: 'X-User-Id' };
+            manifest.apps.test.builds[1].weight = 95;
+
+            const router = create(undefined, manifest);
+
+            const builds = [];
+            for (let user = 0; user < 20; ++ user) {
+                const res1 = await router.route("/test/", { headers: { 'x-user-id': 'user-' + user } });
+                router.point = 0.5 - router.point;
+                const res2 = await router.route("/test/", { headers: { 'x-user-id': 'user-' + user } });
+
+                assert.equal(res1.headers['X-App-Build'], res2.headers['X-App-Build']);
+                assert(res1.headers['Set-Cookie'].startsWith('variant=' + res1.headers['X-App-Build'] + ';'));
+                builds.push(res1.headers['X-App-Build']);
+            }
+
+            assert(builds.includes('stable'));
+            assert(builds.includes('next'));
+        });
+
+        it('should put the build into the injected config', async function () {
+            const router = create();
+
+            const res = await router.route("/test/", { headers: { cookie: 'build_test=next' } });
+
+            assert.equal(configOf(res).build, 'next');
+        });
+
+        it('should keep build responses out of shared caches', async function () {
+            const router = create();
+            const res = await router.route("/test/", { clientAge: 60, cacheAge: 300 });
+
+            assert.equal(res.headers['Cache-Control'], 'private, max-age=60');
+        });
+
+        it('should keep degraded build responses private', async function () {
+            const router = create({ configTtl: 5 });
+            router.time = 0;
+            await router.route("/test/");
+
+            router.api['config.json'] = new Error("Connection refused");
+            router.time = 10000;
+            await router.route("/test/");
+            await settle();
+
+            const res = await router.route("/test/", { clientAge: 60, cacheAge: 300 });
+
+            assert.equal(res.headers['X-Router-Stale'], 'config');
+            assert.equal(res.headers['Cache-Control'], 'private, max-age=10');
+        });
+
+        it('should leave apps without builds alone', async function () {
+            const router = create(undefined, _manifest);
+            const res = await router.route("/test/");
+
+            assert.equal(res.headers['X-App-Build'], undefined);
+            assert.equal(res.headers['Set-Cookie'], undefined);
+            assert.equal(configOf(res).build, undefined);
+        });
+    });
+
+    describe('redirect rules', function () {
+        const _redirectManifest = Object.assign({}, _manifest, {
+            apps: [ 'test', 'admin' ],
+            redirects: [
+                { from: '/', to: '/admin/', status: 302 },
+                { from: '/old-test/', to: '/test/', match: 'prefix', status: 308 },
+                { from: '/test/legacy', to: '/test/#modern' },
+                { from: '/u/(\\d+)', to: '/test/#users/$1', match: 'pattern', status: 307 }
+            ]
+        });
+
+        const router = new TestRouter();
+        router.assets['manifest.json'] = _redirectManifest;
+
+        it('should take precedence over the built-in root redirect', async function () {
+            const res = await router.route("/");
+
+            assert.equal(res.statusCode, 302);
+            assert.equal(res.headers['Location'], '/admin/');
+        });
+
+        it('should redirect renamed apps before looking them up', async function () {
+            const res = await router.route("/old-test/settings");
+
+            assert.equal(res.statusCode, 308);
+            assert.equal(res.headers['Location'], '/test/settings');
+            assert.equal(res.headers['Cache-Control'], 'max-age=60, s-maxage=300');
+        });
+
+        it('should redirect paths inside known apps', async function () {
+            const res = await router.route("/test/legacy");
+
+            assert.equal(res.statusCode, 301);
+            assert.equal(res.headers['Location'], '/test/#modern');
+        });
+
+        it('should substitute pattern groups', async function () {
+            const res = await router.route("/u/42");
+
+            assert.equal(res.statusCode, 307);
+            assert.equal(res.headers['Location'], '/test/#users/42');
+        });
+
+        it('should fall through to normal routing', async function () {
+            assert.equal((await router.route("/test/")).statusCode, 200);
+            assert.equal((await router.route("/u/abc")).statusCode, 404);
+            assert.equal((await router.route("/test/other")).headers['Location'], '/test/#other');
+        });
+    });
+
+    describe('path normalization', function () {
+        const create = settings => {
+            const router = new TestRouter();
+            router.assets['manifest.json'] = Object.assign({}, _manifest, settings);
+            return router;
+        };
+
+        it('should carry the query string through redirects', async function () {
+            const router = create({ redirects: [ { from: '/login', to: '/test/#login' }, { from: '/promo', to: '/test/', query: false } ] });
+            const location = async path => (await router.route(path, { query: 'token=abc&utm_source=mail' })).headers['Location'];
+
+            assert.equal(await location("/"), '/test/?token=abc&utm_source=mail');
+            assert.equal(await location("/test"), '/test/?token=abc&utm_source=mail');
+            assert.equal(await location("/test/reset"), '/test/#reset?token=abc&utm_source=mail');
+            assert.equal(await location("/login"), '/test/#login?token=abc&utm_source=mail');
+            assert.equal(await location("/promo"), '/test/');
+        });
+
+        it('should not add a query string when there is none', async function () {
+            const router = create({});
+
+            assert.equal((await router.route("/test", { query: '' })).headers['Location'], '/test/');
+        });
+
+        it('should decode escaped app names and redirect to the canonical path', async function () {
+            const router = create({});
+            const res = await router.route("/%74est/page", { query: 'a=1' });
+
+            assert.equal(res.statusCode, 301);
+            assert.equal(res.headers['Location'], '/test/page?a=1');
+        });
+
+        it('should match app names case-insensitively when enabled', async function () {
+            const strict = create({});
+            const relaxed = create({ caseInsensitive: true });
+
+            assert.equal((await strict.route("/TEST/")).statusCode, 404);
+
+            const res = await relaxed.route("/TEST/");
+            assert.equal(res.statusCode, 301);
+            assert.equal(res.headers['Location'], '/test/');
+            assert.equal((await relaxed.route("/Test")).headers['Location'], '/test/');
+        });
+
+        it('should reject unsafe and malformed paths', async function () {
+            const router = create({ routing: 'history' });
+
+            for (let path of [ "/test/../admin/", "/test/%2e%2e/x", "/..%2Ftest/", "/test/%zz", "/%E0%A4%A/" ]) {
+                const res = await router.route(path);
+                assert.equal(res.statusCode, 404, path);
+                assert.equal(JSON.parse(res.body).error, 'Invalid path', path);
+            }
+        });
+
+        it('should accept dots and escapes inside app paths', async function () {
+            const router = create({ routing: 'history' });
+
+            assert.equal((await router.route("/test/docs/v1.2/read%20me")).statusCode, 200);
+        });
+
+        it('should serve bare app paths when trailing slashes are ignored', async function () {
+            const router = create({ trailingSlash: 'ignore', routing: 'history' });
+            const res = await router.route("/test");
+
+            assert.equal(res.statusCode, 200);
+            assert(res.body.includes('<base href="/test/">'));
+        });
+
+        it('should remove trailing slashes from history paths when configured', async function () {
+            const router = create({ apps: { test: { routing: 'history', trailingSlash: 'remove' } } });
+
+            const res = await router.route("/test/users/", { query: 'page=2' });
+            assert.equal(res.statusCode, 301);
+            assert.equal(res.headers['Location'], '/test/users?page=2');
+
+            assert.equal((await router.route("/test/")).statusCode, 200);
+            assert.equal((await router.route("/test/users")).statusCode, 200);
+        });
+    });
+
+    describe('error pages', function () {
+        const browser = { accept: 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8' };
+
+        const create = templates => {
+            const router = new TestRouter();
+            Object.assign(router.assets, templates);
+            return router;
+        };
+
+        it('should keep JSON errors for API clients', async function () {
+            const router = create();
+
+            for (let accept of [ undefined, '*/*', 'application/json' ]) {
+                const res = await router.route("/missing/", { headers: { accept }, requestId: 'req-1' });
+
+                assert.equal(res.statusCode, 404);
+                assert.equal(res.headers['Content-Type'], 'application/json');
+                assert.equal(res.headers['Vary'], 'Accept');
+                assert.deepEqual(JSON.parse(res.body), { error: 'Application not found', requestId: 'req-1' });
+            }
+
+            assert(!router.fetches.some(url => url.endsWith('404.html')));
+        });
+
+        it('should generate request IDs', async function () {
+            const router = create();
+
+            const res1 = await router.route("/missing/");
+            const res2 = await router.route("/missing/");
+
+            assert(/^[0-9a-f]{16}$/.test(JSON.parse(res1.body).requestId));
+            assert.notEqual(JSON.parse(res1.body).requestId, JSON.parse(res2.body).requestId);
+        });
+
+        it('should serve the built-in page to browsers without templates', async function () {
+            const router = create();
+            const res = await router.route("/test/app.appcache", { headers: browser, requestId: 'req-2' });
+
+            assert.equal(res.statusCode, 404);
+            assert.equal(res.headers['Content-Type'], 'text/html');
+            assert.equal(res.headers['Cache-Control'], 'max-age=60');
+            assert(res.body.includes('<h1>404 Not Found</h1>'));
+            assert(res.body.includes('Application cache not found'));
+            assert(res.body.includes('req-2'));
+        });
+
+        it('should render templates from the assets', async function () {
+            const router = create({
+                '404.html': '<html><head><link href="errors/style.css" rel="stylesheet"></head><body>{status}: {error} ({requestId})</body></html>'
+            });
+
+            const res = await router.route("/missing/", { headers: browser, requestId: 'req-3' });
+
+            assert.equal(res.body, '<html><head><link href="https://localhost/asset-url/errors/style.css" rel="stylesheet"></head>' +
+                '<body>404: Application not found (req-3)</body></html>');
+        });
+
+        it('should cache templates and missing templates', async function () {
+            const router = create({ '404.html': '<p>{error}</p>' });
+
+            await router.route("/missing/", { headers: browser });
+            await router.route("/other/", { headers: browser });
+
+            router.assets['manifest.json'] = new Error("Bucket unavailable");
+            router._manifestPromise = undefined;
+
+            await router.route("/test/", { headers: browser });
+            await router.route("/test/", { headers: browser });
+
+            assert.equal(router.fetches.filter(url => url.endsWith('404.html')).length, 1);
+            assert.equal(router.fetches.filter(url => url.endsWith('500.html')).length, 1);
+        });
+
+        it('should serve an HTML page for server errors', async function () {
+            const router = create({
+                '500.html': '<p>{error} ({requestId})</p>'
+            });
+            router.assets['manifest.json'] = new Error("Bucket unavailable");
+
+            const res = await router.route("/test/", { headers: browser, requestId: 'req-4' });
+
+            assert.equal(res.statusCode, 500);
+            assert.equal(res.headers['Cache-Control'], 'no-store');
+            assert.equal(res.headers['X-Frame-Options'], 'DENY');
+            assert.equal(res.body, '<p>Upstream unavailable (req-4)</p>');
+        });
+    });
+
+    describe('degraded mode', function () {
+        const create = (assets, options) => Object.assign(new TestRouter(assets, undefined, options), { time: 0 });
+
+        const backupDir = () => path.join(createTempDir(), 'backup');
+
+        afterEach(removeTempDirs);
+
+        it('should mark responses served from copies that failed to refresh', async function () {
+            const router = create(undefined, { configTtl: 5 });
+
+            const fresh = await router.route("/test/", { clientAge: 60, cacheAge: 300 });
+
+            router.down = true;
+            router.time = 10000;
+            const refreshing = await router.route("/test/", { clientAge: 60, cacheAge: 300 });
+            await settle();
+            const stale = await router.route("/test/", { clientAge: 60, cacheAge: 300 });
+
+            assert.equal(fresh.headers['X-Router-Stale'], undefined);
+            assert.equal(refreshing.headers['X-Router-Stale'], undefined);
+
+            assert.equal(stale.statusCode, 200);
+            assert.equal(stale.body, fresh.body);
+            assert.equal(stale.headers['X-Router-Stale'], 'config');
+            assert.equal(stale.headers['Cache-Control'], 'max-age=10, s-maxage=10');
+        });
+
+        it('should recover once a refresh succeeds', async function () {
+            const router = create(undefined, { configTtl: 5 });
+
+            await router.route("/test/");
+            router.down = true;
+            router.time = 10000;
+            await router.route("/test/");
+            await settle();
+
+            router.down = false;
+            router.time = 15000;
+            await router.route("/test/");
+            await settle();
+            const res = await router.route("/test/");
+
+            assert.equal(res.headers['X-Router-Stale'], undefined);
+            assert.equal(res.headers['Cache-Control'], 'max-age=60, s-maxage=300');
+        });
+
+        it('should restore persisted copies in a new router', async function () {
+            const dir = backupDir();
+
+            const first = create(undefined, { backupDir: dir });
+            const fresh = await first.route("/test/");
+            await first._backup.flush();
+
+            const second = create(undefined, { backupDir: dir });
+            second.down = true;
+
+            const res = await second.route("/test/");
+
+            assert.equal(res.statusCode, 200);
+            assert.equal(res.body, fresh.body);
+            assert.equal(res.headers['X-Router-Stale'], 'manifest, index, config');
+        });
+
+        it('should merge a persisted config with the restoring router', async function () {
+            const dir = backupDir();
+
+            const first = create(undefined, { backupDir: dir });
+            await first.fetchConfig();
+            await first._backup.flush();
+
+            assert.deepEqual(await first._backup.read("https://localhost/api-url/config.json"), _config);
+
+            const second = create("https://localhost/other-asset-url/", { backupDir: dir });
+            second.down = true;
+
+            const config = await second.fetchConfig();
+
+            assert.equal(config.assets_url, "https://localhost/other-asset-url/");
+            assert.equal(config.cdn_prefix, _config.cdn_prefix);
+        });
+
+        it('should retry upstream after restoring a persisted copy', async function () {
+            const dir = backupDir();
+
+            const first = create(undefined, { backupDir: dir });
+            await first.route("/test/");
+            await first._backup.flush();
+
+            const router = create(undefined, { backupDir: dir });
+            router.down = true;
+            await router.route("/test/");
+
+            router.down = false;
+            await router.route("/test/");
+            await settle();
+            const res = await router.route("/test/");
+
+            assert.equal(res.headers['X-Router-Stale'], undefined);
+        });
+
+        it('should fail without a persisted copy', async function () {
+            const router = create(undefined, { backupDir: backupDir() });
+            router.down = true;
+
+            const res = await router.route("/test/");
+
+            assert.equal(res.statusCode, 500);
+            assert.equal(res.headers['X-Router-Stale'], undefined);
+        });
+    });
+
+    describe('fetch resilience', function () {
+        const manifestUrl = "https://localhost/asset-url/manifest.json";
+
+        const status = code => new SourceResponse(code);
+        const create = options => {
+            const router = new TestRouter(undefined, undefined, options);
+            router.http = true;
+            router.point = 0.5;
+            return router;
+        };
+        const fetchManifest = (router, options) => {
+            return router._fetch(manifestUrl, Object.assign({ json: true, source: 'manifest', key: 'manifest.json' }, options))
+                .then(value => ({ value }), error => ({ error }));
+        };
+
+        let clock;
+
+        beforeEach(function () {
+            clock = FakeTimers.install({ toFake: [ 'setTimeout', 'clearTimeout', 'Date' ] });
+        });
+
+        afterEach(function () {
+            clock.uninstall();
+        });
+
+        it('should abort downloads that exceed the timeout', async function () {
+            const abortable = typeof AbortController === 'function';
+            const router = create({ fetchTimeout: 1000 });
+            router.assets['manifest.json'] = ({ init }) => new Promise((resolve, reject) => {
+                if (abortable) {
+                    init.signal.addEventListener('abort', () => reject(new Error('Aborted')));
+                }
+            });
+
+            const result = fetchManifest(router, { retries: 1 });
+            await clock.tickAsync(999);
+            if (abortable) {
+                assert.equal(router.requests[0].signal.aborted, false);
+            }
+
+            await clock.tickAsync(1);
+            const { error } = await result;
+
+            assert(error instanceof UpstreamError);
+            assert(/Timed out after 1000ms/.test(error.cause.message));
+            if (abortable) {
+                assert.equal(router.requests[0].signal.aborted, true);
+            }
+        });
+
+        it('should time out without AbortController', async function () {
+            const abortController = global.AbortController;
+            delete global.AbortController;
+
+            try {
+                const router = create({ fetchTimeout: 1000 });
+                router.assets['manifest.json'] = () => new Promise(() => {});
+
+                const result = fetchManifest(router, { retries: 1 });
+                await clock.tickAsync(1000);
+
+                assert.equal(router.requests[0].signal, undefined);
+                assert(/Timed out/.test((await result).error.cause.message));
+            } finally {
+                global.AbortController = abortController;
+            }
+        });
+
+        it('should stop waiting for sources that ignore the signal', async function () {
+            const router = create({ fetchTimeout: 1000 });
+            router.assets['manifest.json'] = () => new Promise(() => {});
+
+            const result = fetchManifest(router, { retries: 1 });
+            await clock.tickAsync(1000);
+
+            assert(/Timed out/.test((await result).error.cause.message));
+        });
+
+        it('should back off exponentially with jitter between attempts', async function () {
+            const router = create({ retryDelay: 100, retryMaxDelay: 150 });
+            router.assets['manifest.json'] = sequence(status(503), status(502), new Error("Connection reset"), _manifest);
+
+            const result = fetchManifest(router, { retries: 4 });
+            await clock.tickAsync(1000);
+
+            assert.deepEqual((await result).value, _manifest);
+            assert.deepEqual(router.requests.map(request => request.time), [ 0, 50, 125, 200 ]);
+        });
+
+        it('should not retry statuses that will not change', async function () {
+            const router = create();
+            router.assets['manifest.json'] = sequence(status(404), _manifest);
+
+            const result = fetchManifest(router);
+            await clock.tickAsync(1000);
+            const { error } = await result;
+
+            assert.equal(error.status, 404);
+            assert.equal(router.requests.length, 1);
+        });
+
+        it('should retry throttled and unavailable responses', async function () {
+            const router = create();
+            router.assets['manifest.json'] = sequence(status(429), status(503), _manifest);
+
+            const result = fetchManifest(router);
+            await clock.tickAsync(1000);
+
+            assert.deepEqual((await result).value, _manifest);
+            assert.equal(router.requests.length, 3);
+        });
+
+        it('should fail fast while the circuit is open', async function () {
+            const router = create({ circuitThreshold: 2, circuitCooldown: 5000 });
+            router.assets['manifest.json'] = status(503);
+
+            for (let i = 0; i < 2; ++ i) {
+                const result = fetchManifest(router, { retries: 1 });
+                await clock.tickAsync(0);
+                assert.equal((await result).error.status, 503);
+            }
+
+            const { error } = await fetchManifest(router);
+
+            assert(error instanceof CircuitOpenError);
+            assert.equal(error.code, 'upstream_unavailable');
+            assert.equal(router.requests.length, 2);
+        });
+
+        it('should let a single probe through after the cooldown', async function () {
+            const router = create({ circuitThreshold: 1, circuitCooldown: 5000 });
+            router.assets['manifest.json'] = status(503);
+
+            await fetchManifest(router, { retries: 1 });
+            await clock.tickAsync(5000);
+
+            let release;
+            router.assets['manifest.json'] = () => new Promise(resolve => { release = resolve; });
+
+            const probe = fetchManifest(router);
+            const { error } = await fetchManifest(router);
+            assert(error instanceof CircuitOpenError);
+
+            release(new SourceResponse(503));
+            assert.equal((await probe).error.status, 503);
+            assert.equal(router.requests.length, 2);
+
+            assert((await fetchManifest(router)).error instanceof CircuitOpenError);
+        });
+
+        it('should close the circuit when the probe succeeds', async function () {
+            const router = create({ circuitThreshold: 1, circuitCooldown: 5000 });
+            router.assets['manifest.json'] = status(503);
+
+            await fetchManifest(router, { retries: 1 });
+            await clock.tickAsync(5000);
+
+            router.assets['manifest.json'] = _manifest;
+            assert.deepEqual((await fetchManifest(router)).value, _manifest);
+            assert.deepEqual((await fetchManifest(router)).value, _manifest);
+            assert.equal(router.requests.length, 3);
+        });
+
+        it('should keep circuits per URL', async function () {
+            const router = create({ circuitThreshold: 1 });
+            router.assets['manifest.json'] = status(503);
+
+            await fetchManifest(router, { retries: 1 });
+
+            router.assets['manifest.json'] = _manifest;
+            const config = await router._fetch("https://localhost/api-url/config.json", { json: true, source: 'config', key: 'config.json' });
+
+            assert.deepEqual(config, _config);
+        });
+    });
+
+    describe('request reporting', function () {
+        const create = options => {
+            const entries = [];
+            const metrics = [];
+
+            const router = new TestRouter(undefined, undefined, Object.assign({
+                logger: { log: entry => entries.push(entry) },
+                metrics: { emit: (dimensions, values) => metrics.push({ dimensions, metrics: values }) }
+            }, options));
+
+            return Object.assign(router, { entries, metrics, time: 1000, latency: 25 });
+        };
+
+        const valueOf = (report, name) => report.metrics.find(metric => metric.name === name).value;
+
+        it('should log each request with its outcome and upstream latency', async function () {
+            const router = create();
+            await router.route("/test/", { method: 'GET', requestId: 'req-1', lambdaRequestId: 'lambda-1' });
+
+            assert.deepEqual(router.entries, [ {
+                requestId: 'req-1',
+                lambdaRequestId: 'lambda-1',
+                method: 'GET',
+                path: '/test/',
+                app: 'test',
+                build: undefined,
+                status: 200,
+                outcome: 'served',
+                duration: 75,
+                cache: { manifest: 'miss', index: 'miss', config: 'miss', render: 'miss' },
+                upstream: { manifest: 25, index: 25, config: 25 }
+            } ]);
+        });
+
+        it('should report cache hits', async function () {
+            const router = create();
+            await router.route("/test/");
+            await router.route("/test/");
+
+            const entry = router.entries[1];
+            assert.deepEqual(entry.cache, { manifest: 'hit', index: 'hit', config: 'hit', render: 'hit' });
+            assert.deepEqual(entry.upstream, {});
+            assert.equal(entry.duration, 0);
+        });
+
+        it('should emit metrics for each request', async function () {
+            const router = create();
+            await router.route("/test/");
+            await router.route("/test/");
+
+            assert.equal(router.metrics.length, 2);
+            assert.deepEqual(router.metrics[0].dimensions, { Outcome: 'served' });
+            assert.deepEqual(router.metrics[0].metrics, [
+                { name: 'Requests', value: 1, unit: 'Count' },
+                { name: 'Duration', value: 75, unit: 'Milliseconds' },
+                { name: 'CacheHits', value: 0, unit: 'Count' },
+                { name: 'CacheMisses', value: 4, unit: 'Count' },
+                { name: 'UpstreamLatency', value: 75, unit: 'Milliseconds' },
+                { name: 'StaleResponses', value: 0, unit: 'Count' }
+            ]);
+
+            assert.equal(valueOf(router.metrics[1], 'CacheHits'), 4);
+            assert.equal(valueOf(router.metrics[1], 'UpstreamLatency'), 0);
+        });
+
+        it('should report failed requests by their error code', async function () {
+            const router = create();
+            router.assets['manifest.json'] = new Error("Connection refused");
+
+            const res = await router.route("/test/", { requestId: 'req-1' });
+            const entry = router.entries[0];
+
+            assert.equal(res.statusCode, 500);
+            assert.equal(entry.status, 500);
+            assert.equal(entry.outcome, 'upstream_unavailable');
+            assert(/manifest\.json/.test(entry.error));
+            assert.deepEqual(entry.cache, { manifest: 'miss' });
+            assert.deepEqual(router.metrics[0].dimensions, { Outcome: 'upstream_unavailable' });
+        });
+
+        it('should report redirects and missing apps', async function () {
+            const router = create();
+            await router.route("/");
+            await router.route("/missing/");
+
+            assert.deepEqual(router.entries.map(entry => [ entry.status, entry.outcome, entry.app ]), [
+                [ 301, 'redirect', undefined ],
+                [ 404, 'not_found', undefined ]
+            ]);
+        });
+
+        it('should still respond when reporting fails', async function () {
+            const router = create({
+                logger: { log: () => { throw new Error("Disk full"); } }
+            });
+
+            const res = await router.route("/test/");
+
+            assert.equal(res.statusCode, 200);
+        });
+    });
+
+    describe('diagnostics', function () {
+        const secret = { 'x-router-secret': 'letmein' };
+
+        const create = options => {
+            const router = new TestRouter(undefined, undefined, Object.assign({ diagnosticsSecret: 'letmein' }, options));
+            router.time = 1000;
+            return router;
+        };
+
+        const fetched = router => router.fetches.map(url => url.split('/').pop());
+
+        it('should report healthy when the manifest and config load', async function () {
+            const router = create();
+            const res = await router.route("/_router/health");
+
+            assert.equal(res.statusCode, 200);
+            assert.equal(res.headers['Cache-Control'], 'no-store');
+            assert.deepEqual(JSON.parse(res.body), { status: 'ok', checks: { manifest: 'ok', config: 'ok' } });
+        });
+
+        it('should report failing when a document does not load', async function () {
+            const router = create();
+            router.api['config.json'] = new Error("Connection refused");
+
+            const res = await router.route("/_router/health");
+
+            assert.equal(res.statusCode, 503);
+            assert.deepEqual(JSON.parse(res.body), { status: 'failing', checks: { manifest: 'ok', config: 'upstream_unavailable' } });
+        });
+
+        it('should report stale copies as healthy', async function () {
+            const router = create();
+            await router.route("/_router/health");
+
+            router.time += 61 * 1000;
+            router.assets['manifest.json'] = new Error("Connection refused");
+            await router.route("/_router/health");
+            await settle();
+
+            const res = await router.route("/_router/health");
+
+            assert.equal(res.statusCode, 200);
+            assert.equal(res.headers['Cache-Control'], 'no-store');
+            assert.equal(res.headers['X-Router-Stale'], undefined);
+            assert.deepEqual(JSON.parse(res.body).checks, { manifest: 'stale', config: 'ok' });
+        });
+
+        it('should require the shared secret for info and purge', async function () {
+            const router = create();
+
+            for (let headers of [ undefined, { 'x-router-secret': 'wrong' }, { 'x-router-secret': '' } ]) {
+                assert.equal((await router.route("/_router/info", { headers })).statusCode, 403);
+                assert.equal((await router.route("/_router/purge", { method: 'POST', headers })).statusCode, 403);
+            }
+
+            const unset = create({ diagnosticsSecret: undefined });
+            assert.equal((await unset.route("/_router/info", { headers: secret })).statusCode, 403);
+
+            assert.equal((await router.route("/_router/info", { headers: { 'X-Router-Secret': 'letmein' } })).statusCode, 200);
+        });
+
+        it('should describe what is cached', async function () {
+            const router = create();
+            await router.route("/test/");
+            router.time += 5000;
+
+            const res = await router.route("/_router/info", { headers: secret });
+            const info = JSON.parse(res.body);
+
+            assert.equal(res.statusCode, 200);
+            assert.equal(info.version, require('../package.json').version);
+            assert.deepEqual(info.manifest, { hash: 'TESTHASH', apps: [ 'test' ], age: 5, stale: false });
+            assert.deepEqual(info.config, { age: 5, stale: false });
+            assert.deepEqual(info.indexes, { test: { age: 5, stale: false } });
+            assert.equal(info.rendered, 1);
+            assert.deepEqual(info.circuits, []);
+        });
+
+        it('should not load anything for info', async function () {
+            const router = create();
+            const info = JSON.parse((await router.route("/_router/info", { headers: secret })).body);
+
+            assert.equal(info.manifest, null);
+            assert.equal(info.config, null);
+            assert.deepEqual(fetched(router), []);
+        });
+
+        it('should drop cached documents on purge', async function () {
+            const router = create();
+            await router.route("/test/");
+
+            const rejected = await router.route("/_router/purge", { method: 'GET', headers: secret });
+            assert.equal(rejected.statusCode, 405);
+            assert.equal(rejected.headers['Allow'], 'POST');
+            assert.notEqual(router._manifestPromise, undefined);
+
+            const res = await router.route("/_router/purge", { method: 'POST', headers: secret });
+            assert.equal(res.statusCode, 200);
+            assert.equal(router._manifestPromise, undefined);
+            assert.equal(router._configPromise, undefined);
+            assert.deepEqual(router._indexes, {});
+
+            router.fetches = [];
+            assert.equal((await router.route("/test/")).statusCode, 200);
+            assert.deepEqual(fetched(router).sort(), [ 'config.json', 'index.html', 'manifest.json' ]);
+        });
+
+        it('should answer unknown diagnostics with 404', async function () {
+            const router = create();
+            const res = await router.route("/_router/missing", { headers: secret });
+
+            assert.equal(res.statusCode, 404);
+            assert.deepEqual(fetched(router), []);
+        });
+
+        it('should use the configured prefix', async function () {
+            const router = create({ diagnosticsPrefix: '/ops' });
+
+            assert.equal((await router.route("/ops/health")).statusCode, 200);
+
+            const res = await router.route("/_router/health");
+            assert.equal(res.statusCode, 404);
+            assert.equal(JSON.parse(res.body).error, 'Application not found');
+        });
+    });
 });
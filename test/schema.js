@@ -0,0 +1,110 @@
+const assert = require('assert').strict;
+
+const { ValidationError } = require('../lib/errors');
+const { validateManifest, validateConfig } = require('../lib/schema');
+
+describe('Schema', function () {
+    const rejects = (validate, document, field) => {
+        assert.throws(() => validate(document), err => {
+            assert(err instanceof ValidationError);
+            assert.equal(err.field, field);
+            return true;
+        });
+    };
+
+    describe('manifest', function () {
+        it('should accept a list of apps', function () {
+            const manifest = { hash: 'TESTHASH', apps: [ 'test', 'admin' ], default: 'test' };
+            assert.equal(validateManifest(manifest), manifest);
+        });
+
+        it('should accept a map of apps', function () {
+            validateManifest({ apps: { test: {}, admin: { routing: 'history' } }, default: 'admin', schemaVersion: 1 });
+        });
+
+        it('should require apps and default', function () {
+            rejects(validateManifest, { default: 'test' }, 'apps');
+            rejects(validateManifest, { apps: [ 'test' ] }, 'default');
+        });
+
+        it('should reject documents that are not objects', function () {
+            rejects(validateManifest, [], '(root)');
+            rejects(validateManifest, 'Access Denied', '(root)');
+        });
+
+        it('should point at the offending field', function () {
+            rejects(validateManifest, { apps: [ 'test', 12 ], default: 'test' }, 'apps[1]');
+            rejects(validateManifest, { apps: [ 'test', 'bad/name' ], default: 'test' }, 'apps[1]');
+            rejects(validateManifest, { apps: { test: { routing: 'pushstate' } }, default: 'test' }, 'apps.test.routing');
+            rejects(validateManifest, { apps: [ 'test' ], default: 'test', config: [] }, 'config');
+            rejects(validateManifest, { apps: [], default: 'test' }, 'apps');
+            rejects(validateManifest, { apps: { test: { config: true } }, default: 'test' }, 'apps.test.config');
+            rejects(validateManifest, { apps: [ 'test' ], default: 'test', integrity: { 'test/app.js': 'md5-abc' } }, 'integrity.test/app.js');
+        });
+
+        it('should reject a default that is not an app', function () {
+            rejects(validateManifest, { apps: [ 'test' ], default: 'missing' }, 'default');
+        });
+
+        it('should validate app builds', function () {
+            const builds = [ { name: 'stable', weight: 95 }, { name: 'next', weight: 5, index: 'test-next/index.html' } ];
+            validateManifest({ apps: { test: { builds, sticky: { cookie: 'test_build', header: 'X-User-Id' } } }, default: 'test' });
+
+            rejects(validateManifest, { apps: { test: { builds: [] } }, default: 'test' }, 'apps.test.builds');
+            rejects(validateManifest, { apps: { test: { builds: [ { name: 'a' } ] } }, default: 'test' }, 'apps.test.builds[0].weight');
+            rejects(validateManifest, { apps: { test: { builds: [ { name: 'a', weight: -1 } ] } }, default: 'test' }, 'apps.test.builds[0].weight');
+            rejects(validateManifest, { apps: { test: { builds: [ { name: 'a', weight: 0 } ] } }, default: 'test' }, 'apps.test.builds');
+            rejects(validateManifest, { apps: { test: { builds: builds.concat({ name: 'next', weight: 1 }) } }, default: 'test' }, 'apps.test.builds[2].name');
+            rejects(validateManifest, { apps: { test: { sticky: { cookie: 'a=b' } } }, default: 'test' }, 'apps.test.sticky.cookie');
+        });
+
+        it('should validate redirects', function () {
+            const manifest = redirects => ({ apps: [ 'test' ], default: 'test', redirects });
+
+            validateManifest(manifest([
+                { from: '/old/', to: '/test/' },
+                { from: '/legacy/', to: 'https://example.com/', match: 'prefix', status: 302 },
+                { from: '/u/(\\d+)', to: '/test/#user/$1', match: 'pattern', status: 308 }
+            ]));
+
+            rejects(validateManifest, manifest({}), 'redirects');
+            rejects(validateManifest, manifest([ { from: '/old/' } ]), 'redirects[0].to');
+            rejects(validateManifest, manifest([ { from: '/old/', to: '/a b/' } ]), 'redirects[0].to');
+            rejects(validateManifest, manifest([ { from: '/old/', to: '/test/', status: 303 } ]), 'redirects[0].status');
+            rejects(validateManifest, manifest([ { from: '/old/', to: '/test/', match: 'glob' } ]), 'redirects[0].match');
+            rejects(validateManifest, manifest([ { from: 'old/', to: '/test/' } ]), 'redirects[0].from');
+            rejects(validateManifest, manifest([ { from: '/u/(', to: '/test/', match: 'pattern' } ]), 'redirects[0].from');
+        });
+
+        it('should validate path normalization options', function () {
+            validateManifest({ apps: { test: { trailingSlash: 'remove' } }, default: 'test', trailingSlash: 'ignore', caseInsensitive: true });
+
+            rejects(validateManifest, { apps: [ 'test' ], default: 'test', trailingSlash: 'always' }, 'trailingSlash');
+            rejects(validateManifest, { apps: { test: { trailingSlash: true } }, default: 'test' }, 'apps.test.trailingSlash');
+            rejects(validateManifest, { apps: [ 'test' ], default: 'test', caseInsensitive: 'yes' }, 'caseInsensitive');
+            rejects(validateManifest, { apps: [ 'test' ], default: 'test', redirects: [ { from: '/a', to: '/b', query: 1 } ] }, 'redirects[0].query');
+        });
+
+        it('should reject unsupported schema versions', function () {
+            rejects(validateManifest, { apps: [ 'test' ], default: 'test', schemaVersion: 99 }, 'schemaVersion');
+        });
+    });
+
+    describe('config', function () {
+        it('should accept objects', function () {
+            validateConfig({ idle_timeout: 1800000 });
+        });
+
+        it('should reject anything else', function () {
+            rejects(validateConfig, [ 1, 2 ], '(root)');
+            rejects(validateConfig, null, '(root)');
+        });
+
+        it('should validate per-app sections', function () {
+            validateConfig({ apps: { admin: { config: { api_path: '/admin' } } } });
+
+            rejects(validateConfig, { apps: [ 'admin' ] }, 'apps');
+            rejects(validateConfig, { apps: { admin: { config: 'x' } } }, 'apps.admin.config');
+        });
+    });
+});
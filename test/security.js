@@ -0,0 +1,33 @@
+const assert = require('assert').strict;
+
+const { defaultHeaders, resolveHeaders } = require('../lib/security');
+
+describe('Security', function () {
+    it('should start from the defaults', function () {
+        assert.deepEqual(resolveHeaders(), defaultHeaders);
+    });
+
+    it('should override headers case-insensitively', function () {
+        const headers = resolveHeaders({ 'x-frame-options': 'SAMEORIGIN' });
+
+        assert.equal(headers['x-frame-options'], 'SAMEORIGIN');
+        assert.equal(headers['X-Frame-Options'], undefined);
+    });
+
+    it('should remove headers set to null', function () {
+        const headers = resolveHeaders({ 'Strict-Transport-Security': null });
+
+        assert.equal('Strict-Transport-Security' in headers, false);
+    });
+
+    it('should apply layers in order', function () {
+        const headers = resolveHeaders(
+            { 'Referrer-Policy': 'no-referrer', 'X-Extra': 'stage' },
+            undefined,
+            { 'X-Extra': 'app' }
+        );
+
+        assert.equal(headers['Referrer-Policy'], 'no-referrer');
+        assert.equal(headers['X-Extra'], 'app');
+    });
+});
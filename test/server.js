@@ -0,0 +1,87 @@
+const assert = require('assert').strict;
+
+const http = require('http');
+const path = require('path');
+
+const { Router } = require('../lib/router');
+const { createServer } = require('../lib/server');
+const { DirectorySource } = require('../lib/sources');
+
+describe('Server', function () {
+    const assetsDir = path.join(__dirname, 'fixtures', 'assets');
+    const apiDir = path.join(__dirname, 'fixtures', 'api');
+
+    let server;
+    let origin;
+
+    const request = (path, options) => new Promise((resolve, reject) => {
+        http.request(origin + path, options, res => {
+            const chunks = [];
+            res.on('data', chunk => chunks.push(chunk));
+            res.on('end', () => resolve({
+                statusCode: res.statusCode,
+                headers: res.headers,
+                body: Buffer.concat(chunks).toString('utf8')
+            }));
+        }).on('error', reject).end();
+    });
+
+    before(function (done) {
+        const router = new Router("http://localhost/_assets/", "http://localhost/_api/", {
+            sources: {
+                manifest: new DirectorySource(assetsDir),
+                index: new DirectorySource(assetsDir),
+                config: new DirectorySource(apiDir)
+            }
+        });
+
+        server = createServer(router, {
+            statics: { '/_assets/': new DirectorySource(assetsDir) }
+        });
+
+        server.listen(0, '127.0.0.1', () => {
+            origin = `http://127.0.0.1:${server.address().port}`;
+            done();
+        });
+    });
+
+    after(function (done) {
+        server.close(done);
+    });
+
+    it('should turn requests into routes', async function () {
+        const res = await request('/test/');
+
+        assert.equal(res.statusCode, 200);
+        assert.equal(res.headers['content-type'], 'text/html');
+        assert(res.body.includes('_app_config = '));
+    });
+
+    it('should pass redirects through', async function () {
+        const res = await request('/');
+
+        assert.equal(res.statusCode, 301);
+        assert.equal(res.headers['location'], '/test/');
+    });
+
+    it('should pass request headers to the router', async function () {
+        const res1 = await request('/test/');
+        const res2 = await request('/test/', { headers: { 'If-None-Match': res1.headers['etag'] } });
+
+        assert.equal(res2.statusCode, 304);
+    });
+
+    it('should serve static files from local sources', async function () {
+        const res = await request('/_assets/manifest.json');
+
+        assert.equal(res.statusCode, 200);
+        assert.equal(res.headers['content-type'], 'application/json');
+        assert.equal(JSON.parse(res.body).hash, 'FIXTUREHASH');
+    });
+
+    it('should return 404 for missing static files', async function () {
+        const res = await request('/_assets/missing.js');
+
+        assert.equal(res.statusCode, 404);
+    });
+});
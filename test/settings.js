@@ -0,0 +1,134 @@
+const assert = require('assert').strict;
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { SettingsError, loadSettingsFile, resolveSettings } = require('../lib/settings');
+const { createTempDir, removeTempDirs } = require('./helpers/temp');
+
+describe('Settings', function () {
+    const _required = {
+        ASSETS_URL: 'https://localhost/asset-url/',
+        API_URL: 'https://localhost/api-url/'
+    };
+
+    afterEach(removeTempDirs);
+
+    it('should apply defaults for optional settings', function () {
+        const settings = resolveSettings([ _required ]);
+
+        assert.equal(settings.ASSETS_URL, _required.ASSETS_URL);
+        assert.equal(settings.CLIENT_AGE, 60);
+        assert.equal(settings.CACHE_AGE, 300);
+    });
+
+    it('should let later layers override earlier ones', function () {
+        const settings = resolveSettings([
+            Object.assign({ CACHE_AGE: 10, CLIENT_AGE: 20 }, _required),
+            { CACHE_AGE: '30' },
+            { CLIENT_AGE: '40', API_URL: 'https://localhost/stage-api/' }
+        ]);
+
+        assert.equal(settings.CACHE_AGE, 30);
+        assert.equal(settings.CLIENT_AGE, 40);
+        assert.equal(settings.API_URL, 'https://localhost/stage-api/');
+    });
+
+    it('should skip missing and empty layers', function () {
+        const settings = resolveSettings([ undefined, _required, { CACHE_AGE: '' } ]);
+
+        assert.equal(settings.CACHE_AGE, 300);
+    });
+
+    it('should ignore unknown keys', function () {
+        const settings = resolveSettings([ Object.assign({ PATH: '/usr/bin' }, _required) ]);
+
+        assert.equal(settings.PATH, undefined);
+    });
+
+    it('should name the missing setting', function () {
+        assert.throws(() => resolveSettings([ { ASSETS_URL: _required.ASSETS_URL } ]), err => {
+            assert(err instanceof SettingsError);
+            assert.equal(err.setting, 'API_URL');
+            assert(err.message.includes('API_URL'));
+            return true;
+        });
+    });
+
+    it('should reject invalid types', function () {
+        assert.throws(() => resolveSettings([ Object.assign({ CACHE_AGE: 'soon' }, _required) ]), err => {
+            assert.equal(err.setting, 'CACHE_AGE');
+            return true;
+        });
+
+        assert.throws(() => resolveSettings([ Object.assign({}, _required, { ASSETS_URL: 'not a url' }) ]), err => {
+            assert.equal(err.setting, 'ASSETS_URL');
+            return true;
+        });
+    });
+
+    it('should add a trailing slash to URLs', function () {
+        const settings = resolveSettings([ Object.assign({}, _required, { API_URL: 'https://localhost/api-url' }) ]);
+
+        assert.equal(settings.API_URL, 'https://localhost/api-url/');
+    });
+
+    it('should parse JSON object settings', function () {
+        const settings = resolveSettings([ Object.assign({ SECURITY_HEADERS: '{"X-Frame-Options":null}' }, _required) ]);
+
+        assert.deepEqual(settings.SECURITY_HEADERS, { 'X-Frame-Options': null });
+
+        assert.throws(() => resolveSettings([ Object.assign({ SECURITY_HEADERS: '[1]' }, _required) ]), err => {
+            assert.equal(err.setting, 'SECURITY_HEADERS');
+            return true;
+        });
+    });
+
+    it('should pick a security header profile by name', function () {
+        const profiles = { SECURITY_PROFILES: { embed: { 'X-Frame-Options': null } } };
+
+        const settings = resolveSettings([ Object.assign({}, profiles, _required), { SECURITY_PROFILE: 'embed' } ]);
+        assert.equal(settings.SECURITY_PROFILE, 'embed');
+        assert.deepEqual(settings.SECURITY_PROFILES.embed, { 'X-Frame-Options': null });
+
+        for (let profile of [ 'missing', 'toString' ]) {
+            assert.throws(() => resolveSettings([ Object.assign({}, profiles, _required), { SECURITY_PROFILE: profile } ]), err => {
+                assert.equal(err.setting, 'SECURITY_PROFILE');
+                return true;
+            });
+        }
+    });
+
+    it('should parse boolean settings', function () {
+        assert.equal(resolveSettings([ _required ]).COMPUTE_INTEGRITY, false);
+        assert.equal(resolveSettings([ Object.assign({ COMPUTE_INTEGRITY: 'TRUE' }, _required) ]).COMPUTE_INTEGRITY, true);
+        assert.equal(resolveSettings([ Object.assign({ COMPUTE_INTEGRITY: true }, _required) ]).COMPUTE_INTEGRITY, true);
+
+        assert.throws(() => resolveSettings([ Object.assign({ COMPUTE_INTEGRITY: 'yes' }, _required) ]), err => {
+            assert.equal(err.setting, 'COMPUTE_INTEGRITY');
+            return true;
+        });
+    });
+
+    it('should parse string settings', function () {
+        assert.equal(resolveSettings([ _required ]).BACKUP_DIR, '/tmp/index-router');
+        assert.equal(resolveSettings([ Object.assign({ BACKUP_DIR: '/var/cache/router' }, _required) ]).BACKUP_DIR, '/var/cache/router');
+
+        assert.throws(() => resolveSettings([ Object.assign({ BACKUP_DIR: 12 }, _required) ]), err => {
+            assert.equal(err.setting, 'BACKUP_DIR');
+            return true;
+        });
+    });
+
+    it('should load a settings file', function () {
+        const file = path.join(createTempDir(), 'router.json');
+        fs.writeFileSync(file, JSON.stringify({ CACHE_AGE: 120 }));
+
+        assert.deepEqual(loadSettingsFile(file), { CACHE_AGE: 120 });
+    });
+
+    it('should treat a missing settings file as empty', function () {
+        assert.deepEqual(loadSettingsFile(path.join(os.tmpdir(), 'index-router-missing.json')), {});
+    });
+});
@@ -0,0 +1,65 @@
+const assert = require('assert').strict;
+
+const { JsonLogger, EmfMetrics, requestOutcome } = require('../lib/telemetry');
+
+describe('Telemetry', function () {
+    describe('JsonLogger', function () {
+        it('should write one timestamped JSON line per entry', function () {
+            const lines = [];
+            const logger = new JsonLogger(line => lines.push(line));
+
+            logger.log({ path: '/test/', status: 200 });
+
+            assert.equal(lines.length, 1);
+            assert(!lines[0].includes('\n'));
+
+            const entry = JSON.parse(lines[0]);
+            assert.equal(entry.path, '/test/');
+            assert.equal(entry.status, 200);
+            assert(!isNaN(Date.parse(entry.time)));
+        });
+    });
+
+    describe('EmfMetrics', function () {
+        it('should write metrics in embedded metric format', function () {
+            const lines = [];
+            const metrics = new EmfMetrics('IndexRouter', line => lines.push(line));
+
+            metrics.emit({ Outcome: 'served' }, [
+                { name: 'Requests', value: 1, unit: 'Count' },
+                { name: 'Duration', value: 12, unit: 'Milliseconds' }
+            ]);
+
+            const event = JSON.parse(lines[0]);
+            assert.equal(typeof event._aws.Timestamp, 'number');
+            assert.deepEqual(event._aws.CloudWatchMetrics, [ {
+                Namespace: 'IndexRouter',
+                Dimensions: [ [ 'Outcome' ] ],
+                Metrics: [
+                    { Name: 'Requests', Unit: 'Count' },
+                    { Name: 'Duration', Unit: 'Milliseconds' }
+                ]
+            } ]);
+
+            assert.equal(event.Outcome, 'served');
+            assert.equal(event.Requests, 1);
+            assert.equal(event.Duration, 12);
+        });
+    });
+
+    describe('requestOutcome', function () {
+        it('should name outcomes by status', function () {
+            assert.equal(requestOutcome(200), 'served');
+            assert.equal(requestOutcome(304), 'not_modified');
+            assert.equal(requestOutcome(301), 'redirect');
+            assert.equal(requestOutcome(308), 'redirect');
+            assert.equal(requestOutcome(404), 'not_found');
+            assert.equal(requestOutcome(405), 'client_error');
+        });
+
+        it('should name failures by their error code', function () {
+            assert.equal(requestOutcome(500, 'upstream_unavailable'), 'upstream_unavailable');
+            assert.equal(requestOutcome(500), 'internal_error');
+        });
+    });
+});
@@ -0,0 +1,166 @@
+const assert = require('assert').strict;
+
+const path = require('path');
+const { execFileSync } = require('child_process');
+const { JSDOM } = require('jsdom');
+const { assetsUrl, manifest: sharedManifest, TestRouter } = require('./helpers/router');
+
+describe('Transform', function () {
+    const _manifest = Object.assign({}, sharedManifest, {
+        integrity: {
+            'test/app.js': 'sha384-appDigest'
+        }
+    });
+
+    const _index = "" +
+        "<!DOCTYPE html>\n" +
+        "<html>\n" +
+        "   <head>\n" +
+        "       <base href=\"/old/\">\n" +
+        "       <meta property=\"og:image\" content=\"img/share.png\">\n" +
+        "       <link href=\"test/style.css\" rel=\"stylesheet\">\n" +
+        "       <style>body { background: url(img/bg.png); }</style>\n" +
+        "   </head>\n" +
+        "   <body>\n" +
+        "       <!-- <script src=\"commented/out.js\"></script> -->\n" +
+        "       <img src=\"img/logo.png\" srcset=\"img/logo.png 1x, img/logo@2x.png 2x\" alt=\"Logo &amp; name\">\n" +
+        "       <script src=\"/home/config.js\"></script>\n" +
+        "       <script type=\"text/javascript\" src=\"//external-site/script.js\"></script>\n" +
+        "       <script type=\"text/javascript\" src=\"test/app.js\"></script>\n" +
+        "       <script>if (a < b && c > d) { document.write('<p>'); }</script>\n" +
+        "   </body>\n" +
+        "</html>\n";
+
+    const createRouter = options => {
+        const router = new TestRouter(assetsUrl, undefined, options);
+        router.assets['manifest.json'] = _manifest;
+        router.assets['test/index.html'] = _index;
+        return router;
+    };
+
+    [ 'dom', 'stream' ].forEach(transformer => {
+        describe(transformer, function () {
+            const render = async (config, options) => {
+                const router = createRouter({ transformer });
+                const manifest = await router.fetchManifest();
+
+                const body = await router.transform('test', _index, config || { target: [ '/test/' ] }, Object.assign({
+                    integrity: key => router.getIntegrity(manifest, key)
+                }, options));
+
+                return { body, document: new JSDOM(body).window.document };
+            };
+
+            it('should rewrite relative URLs in app index', async function () {
+                const { document } = await render();
+
+                const links = document.getElementsByTagName("link");
+                assert.equal(links.length, 1);
+                for (let link of links) {
+                    assert(link.getAttribute("href").startsWith(assetsUrl));
+                }
+
+                const scripts = Array.from(document.getElementsByTagName("script"));
+                assert.equal(scripts.length, 4);
+
+                assert.equal(1, scripts.filter(script => {
+                    return script.hasAttribute("src");
+                }).filter(script => {
+                    return script.getAttribute("src").startsWith(assetsUrl);
+                }).length);
+            });
+
+            it('should relocate images, meta and styles', async function () {
+                const { document } = await render();
+
+                assert.equal(document.querySelector('meta').getAttribute('content'), assetsUrl + 'img/share.png');
+                assert.equal(document.querySelector('img').getAttribute('src'), assetsUrl + 'img/logo.png');
+                assert.equal(document.querySelector('img').getAttribute('srcset'), `${assetsUrl}img/logo.png 1x, ${assetsUrl}img/logo@2x.png 2x`);
+                assert.equal(document.querySelector('img').getAttribute('alt'), 'Logo & name');
+                assert.equal(document.querySelector('style').textContent, `body { background: url(${assetsUrl}img/bg.png); }`);
+            });
+
+            it('should patch the config script', async function () {
+                const { document } = await render({ target: [ '/test/' ], hash: 'abc' });
+
+                const scripts = Array.from(document.getElementsByTagName("script")).filter(script => !script.hasAttribute("src"));
+                const json = JSON.parse(/^_app_config = ({.*});$/.exec(scripts[0].textContent)[1]);
+
+                assert.deepEqual(json, { target: [ '/test/' ], hash: 'abc' });
+            });
+
+            it('should not let config values close the script', async function () {
+                const { document } = await render({ title: '</script><script>alert(1)</script>' });
+
+                const scripts = Array.from(document.getElementsByTagName("script"));
+                assert.equal(scripts.length, 4);
+
+                const json = JSON.parse(/^_app_config = ({.*});$/.exec(scripts[0].textContent)[1]);
+                assert.equal(json.title, '</script><script>alert(1)</script>');
+            });
+
+            it('should leave commented out markup alone', async function () {
+                const { body } = await render();
+
+                assert(body.includes('<!-- <script src="commented/out.js"></script> -->'));
+            });
+
+            it('should replace the base with the injected one', async function () {
+                const { document } = await render(undefined, { base: '/test/' });
+
+                const bases = document.getElementsByTagName("base");
+                assert.equal(bases.length, 1);
+                assert.equal(bases[0].getAttribute("href"), "/test/");
+                assert.equal(document.head.firstElementChild, bases[0]);
+            });
+
+            it('should add nonces to inline scripts and styles', async function () {
+                const { document } = await render(undefined, { nonce: 'abc' });
+
+                assert.equal(document.querySelectorAll('[nonce="abc"]').length, 3);
+                assert.equal(document.querySelectorAll('script[src][nonce]').length, 0);
+            });
+
+            it('should add integrity to relocated assets', async function () {
+                const { document } = await render();
+
+                const app = document.querySelector(`script[src="${assetsUrl}test/app.js"]`);
+                assert.equal(app.getAttribute('integrity'), 'sha384-appDigest');
+                assert.equal(app.getAttribute('crossorigin'), 'anonymous');
+            });
+
+            it('should keep inline script content intact', async function () {
+                const { document } = await render();
+
+                const scripts = Array.from(document.getElementsByTagName("script"));
+                assert.equal(scripts[3].textContent, "if (a < b && c > d) { document.write('<p>'); }");
+            });
+        });
+    });
+
+    describe('stream only', function () {
+        it('should leave untouched bytes alone', async function () {
+            const router = createRouter();
+            const body = await router.transform('test', _index, {}, { rules: [] });
+
+            assert.equal(body, _index.replace('<script src="/home/config.js"></script>', '<script>_app_config = {};</script>'));
+        });
+
+        it('should only re-serialize modified tags', async function () {
+            const router = createRouter();
+            const body = await router.transform('test', _index, {});
+
+            assert(body.startsWith('<!DOCTYPE html>\n<html>\n   <head>\n       <base href="/old/">\n'));
+            assert(body.includes(`<link href="${assetsUrl}test/style.css" rel="stylesheet">`));
+            assert(body.includes('alt="Logo &amp; name"'));
+            assert(body.endsWith('   </body>\n</html>\n'));
+        });
+
+        it('should not load jsdom', function () {
+            const script = "require('./lib/router'); console.log(Object.keys(require.cache).some(file => file.includes('jsdom')));";
+            const output = execFileSync(process.execPath, [ '-e', script ], { cwd: path.join(__dirname, '..') });
+
+            assert.equal(output.toString().trim(), 'false');
+        });
+    });
+});